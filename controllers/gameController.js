@@ -0,0 +1,97 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const RoundArchives = require("../models/roundArchiveModel");
+const TelephoneGames = require("../models/telephoneModel");
+
+// Rounds of a game the requesting user took part in
+const findPlayedRounds = (req, res, filter = {}) => {
+  const { gameId } = req.params;
+  if (!mongoose.isValidObjectId(gameId)) {
+    res.status(404);
+    throw new Error("Game not found");
+  }
+
+  return RoundArchives.find({ gameId, playerIds: req.user._id, ...filter });
+};
+
+// GET /games/:gameId/rounds -> round summaries, no strokes
+const listRounds = asyncHandler(async (req, res) => {
+  const rounds = await findPlayedRounds(req, res)
+    .select("-strokes -playerIds")
+    .sort({ roundNumber: 1 });
+
+  if (rounds.length === 0) {
+    res.status(404);
+    throw new Error("Game not found");
+  }
+
+  res.status(200).json(rounds.map((round) => ({
+    roundNumber: round.roundNumber,
+    drawerId: round.drawerId,
+    drawerUsername: round.drawerUsername,
+    word: round.word,
+    guessers: round.guessers,
+    startedAt: round.startedAt,
+    endedAt: round.endedAt,
+  })));
+});
+
+// GET /games/:gameId/rounds/:roundNumber -> stroke timeline for timelapse playback.
+// Every entry gets `t`: ms since the round started, clients replay in that order.
+const roundTimeline = asyncHandler(async (req, res) => {
+  const roundNumber = Number(req.params.roundNumber);
+  const [round] = Number.isInteger(roundNumber)
+    ? await findPlayedRounds(req, res, { roundNumber })
+    : [];
+
+  if (!round) {
+    res.status(404);
+    throw new Error("Round not found");
+  }
+
+  const start = (round.startedAt || round.strokes[0]?.timestamp || round.endedAt).getTime();
+  const strokes = round.strokes.map((stroke) => ({
+    ...stroke.toObject(),
+    t: Math.max(new Date(stroke.timestamp).getTime() - start, 0),
+  }));
+
+  res.status(200).json({
+    gameId: round.gameId,
+    roundNumber: round.roundNumber,
+    drawerId: round.drawerId,
+    drawerUsername: round.drawerUsername,
+    word: round.word,
+    guessers: round.guessers,
+    startedAt: round.startedAt,
+    endedAt: round.endedAt,
+    duration: round.endedAt.getTime() - start,
+    strokes,
+  });
+});
+
+// GET /games/:gameId/chains -> every chain of a finished telephone game, in order
+const telephoneChains = asyncHandler(async (req, res) => {
+  const { gameId } = req.params;
+  const game = mongoose.isValidObjectId(gameId)
+    ? await TelephoneGames.findOne({ gameId, "players.userId": req.user._id })
+    : null;
+
+  if (!game) {
+    res.status(404);
+    throw new Error("Game not found");
+  }
+
+  // no peeking at the other chains while the game is still going
+  if (game.status !== "done") {
+    res.status(409);
+    throw new Error("Chains are revealed when the game ends");
+  }
+
+  res.status(200).json({
+    gameId: game.gameId,
+    players: game.players,
+    chains: game.chains,
+  });
+});
+
+module.exports = { listRounds, roundTimeline, telephoneChains };
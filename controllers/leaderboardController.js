@@ -0,0 +1,86 @@
+const asyncHandler = require("express-async-handler");
+const Users = require("../models/userModel");
+const Games = require("../models/gameModel");
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const PERIODS = ["all", "weekly"];
+
+// GET /leaderboard?period=all|weekly&page=1&limit=20
+// all: current rating. weekly: rating gained from games finished in the last 7 days.
+const getLeaderboard = asyncHandler(async (req, res) => {
+  const period = req.query.period || "all";
+  if (!PERIODS.includes(period)) {
+    res.status(400);
+    throw new Error(`period must be one of: ${PERIODS.join(", ")}`);
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const skip = (page - 1) * limit;
+
+  let entries;
+  let total;
+
+  if (period === "all") {
+    const filter = { ratedGames: { $gt: 0 } };
+    const [users, count] = await Promise.all([
+      Users.find(filter)
+        .select("username rating ratedGames")
+        .sort({ rating: -1, ratedGames: -1, _id: 1 })
+        .skip(skip)
+        .limit(limit),
+      Users.countDocuments(filter),
+    ]);
+
+    total = count;
+    entries = users.map((u) => ({
+      userId: u._id,
+      username: u.username,
+      rating: u.rating,
+      games: u.ratedGames,
+    }));
+  } else {
+    const [result] = await Games.aggregate([
+      { $match: { rated: true, endedAt: { $gte: new Date(Date.now() - WEEK) } } },
+      { $unwind: "$players" },
+      { $match: { "players.ratingChange": { $exists: true } } },
+      { $sort: { endedAt: 1 } },
+      {
+        $group: {
+          _id: "$players.userId",
+          username: { $last: "$players.username" },
+          ratingChange: { $sum: "$players.ratingChange" },
+          rating: { $last: { $add: ["$players.ratingBefore", "$players.ratingChange"] } },
+          games: { $sum: 1 },
+        },
+      },
+      { $sort: { ratingChange: -1, rating: -1, _id: 1 } },
+      {
+        $facet: {
+          entries: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    total = result.total[0]?.count || 0;
+    entries = result.entries.map((e) => ({
+      userId: e._id,
+      username: e.username,
+      rating: e.rating,
+      ratingChange: e.ratingChange,
+      games: e.games,
+    }));
+  }
+
+  res.status(200).json({
+    period,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    entries: entries.map((entry, i) => ({ position: skip + i + 1, ...entry })),
+  });
+});
+
+module.exports = { getLeaderboard };
@@ -3,26 +3,202 @@ const Rooms = require("../models/roomModel");
 const Chats = require("../models/chatModel");
 const generateRoomId = require("../utils/generateRoomId");
 const { generateWords } = require("../utils/generateWords");
+const { sanitizeCustomWords, CUSTOM_WORDS_MODES } = require("../utils/wordProviders");
+const { serializeRoom, summarizeRoom, publicSettings } = require("../utils/serializeRoom");
+const { notifyLobby } = require("../utils/lobby");
+const { MAX_HINTS } = require("../utils/hints");
+const { getCanvasHistory } = require("../utils/canvasStore");
+const { renderSvg, renderPng } = require("../utils/canvasRenderer");
+const { CANVAS_WIDTH } = require("../utils/drawingValidation");
+const {
+  hashRoomPassword,
+  validateRoomPassword,
+  createInvite,
+  decodeInviteToken,
+  checkRoomAccess,
+  canViewRoom,
+  pickJoinRole,
+  hasFreeSeatExpr,
+  MAX_INVITE_HOURS,
+} = require("../utils/roomAccess");
+const { TEAM_ASSIGNMENTS, MIN_TEAMS, MAX_TEAMS, syncTeams } = require("../utils/teams");
 
-const createRoom = asyncHandler(async (req, res) => {
-  const { roomName, difficultyLevel, roundDuration, wordCategory } = req.body;
-  const user = req.user;
+// Validate customWords/customWordsMode from the request body.
+// Returns only the fields that were sent so it can be used for partial updates.
+const parseCustomWordSettings = (res, body, current = {}) => {
+  const update = {};
 
-  const roomId = await generateRoomId();
+  if (body.customWordsMode !== undefined) {
+    if (!CUSTOM_WORDS_MODES.includes(body.customWordsMode)) {
+      res.status(400);
+      throw new Error(`customWordsMode must be one of: ${CUSTOM_WORDS_MODES.join(", ")}`);
+    }
+    update.customWordsMode = body.customWordsMode;
+  }
 
-  // 2. Create chat document with initial system message
+  if (body.customWords !== undefined) {
+    update.customWords = sanitizeCustomWords(body.customWords);
+  }
+
+  const mode = update.customWordsMode || current.customWordsMode;
+  const words = update.customWords || current.customWords || [];
+  if (mode === "custom" && words.length === 0) {
+    res.status(400);
+    throw new Error("customWords are required when customWordsMode is 'custom'");
+  }
+
+  return update;
+};
+
+// Validate hintCount / hintTimings (fractions of the round, e.g. [0.5, 0.75])
+const parseHintSettings = (res, body) => {
+  const update = {};
+
+  if (body.hintCount !== undefined) {
+    const hintCount = Number(body.hintCount);
+    if (!Number.isInteger(hintCount) || hintCount < 0 || hintCount > MAX_HINTS) {
+      res.status(400);
+      throw new Error(`hintCount must be a whole number between 0 and ${MAX_HINTS}`);
+    }
+    update.hintCount = hintCount;
+  }
+
+  if (body.hintTimings !== undefined) {
+    const timings = Array.isArray(body.hintTimings) ? body.hintTimings.map(Number) : [];
+    if (timings.length === 0 || timings.length > MAX_HINTS || timings.some((t) => !(t > 0 && t < 1))) {
+      res.status(400);
+      throw new Error("hintTimings must be a list of fractions between 0 and 1");
+    }
+    update.hintTimings = timings.sort((a, b) => a - b);
+  }
+
+  return update;
+};
+
+const VISIBILITIES = ["public", "private"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const GAME_MODES = ["classic", "teams", "telephone"]; // see utils/teams.js, utils/telephone.js
+
+// Allowed ranges for the numeric game settings
+const LIMITS = {
+  maxRounds: [1, 10],
+  roundDuration: [20, 240], // seconds
+  maxPlayers: [2, 20],
+};
+
+// Validate round count/duration, difficulty, category and max players.
+// Like the other parsers it only returns fields that were sent. `room` is the
+// current room on updates, so maxPlayers can't drop below who's already in.
+const parseGameSettings = (res, body, room) => {
+  const update = {};
+
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      res.status(400);
+      throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+    }
+    update[field] = value;
+  }
+
+  if (room && update.maxPlayers !== undefined && update.maxPlayers < room.participants.length) {
+    res.status(400);
+    throw new Error(`maxPlayers can't be lower than the ${room.participants.length} players already in the room`);
+  }
+
+  if (body.difficultyLevel !== undefined) {
+    if (!DIFFICULTIES.includes(body.difficultyLevel)) {
+      res.status(400);
+      throw new Error(`difficultyLevel must be one of: ${DIFFICULTIES.join(", ")}`);
+    }
+    update.difficultyLevel = body.difficultyLevel;
+  }
+
+  if (body.wordCategory !== undefined) {
+    const wordCategory = typeof body.wordCategory === "string" ? body.wordCategory.trim().toLowerCase() : "";
+    if (!wordCategory || wordCategory.length > 30) {
+      res.status(400);
+      throw new Error("wordCategory must be 1-30 characters");
+    }
+    update.wordCategory = wordCategory;
+  }
+
+  return update;
+};
 
-  const newRoom = await Rooms.create({
+const parseVisibility = (res, body) => {
+  if (body.visibility === undefined) return {};
+  if (!VISIBILITIES.includes(body.visibility)) {
+    res.status(400);
+    throw new Error(`visibility must be one of: ${VISIBILITIES.join(", ")}`);
+  }
+  return { visibility: body.visibility };
+};
+
+// body.password: set (hashed) | null or "" to remove
+const parseRoomPassword = async (res, body) => {
+  if (body.password === undefined) return {};
+  if (body.password === null || body.password === "") return { password: null };
+
+  const error = validateRoomPassword(body.password);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+  return { password: await hashRoomPassword(body.password) };
+};
+
+// gameMode / teamCount / teamAssignment
+const parseTeamSettings = (res, body) => {
+  const update = {};
+
+  if (body.gameMode !== undefined) {
+    if (!GAME_MODES.includes(body.gameMode)) {
+      res.status(400);
+      throw new Error(`gameMode must be one of: ${GAME_MODES.join(", ")}`);
+    }
+    update.gameMode = body.gameMode;
+  }
+
+  if (body.teamCount !== undefined) {
+    const teamCount = Number(body.teamCount);
+    if (!Number.isInteger(teamCount) || teamCount < MIN_TEAMS || teamCount > MAX_TEAMS) {
+      res.status(400);
+      throw new Error(`teamCount must be a whole number between ${MIN_TEAMS} and ${MAX_TEAMS}`);
+    }
+    update.teamCount = teamCount;
+  }
+
+  if (body.teamAssignment !== undefined) {
+    if (!TEAM_ASSIGNMENTS.includes(body.teamAssignment)) {
+      res.status(400);
+      throw new Error(`teamAssignment must be one of: ${TEAM_ASSIGNMENTS.join(", ")}`);
+    }
+    update.teamAssignment = body.teamAssignment;
+  }
+
+  return update;
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Creates the room and its chat document, `user` becomes the host
+const createRoomFor = async (user, fields) => {
+  const roomId = await generateRoomId();
+
+  const newRoom = new Rooms({
     roomId,
-    roomName,
-    difficultyLevel,
-    roundDuration,
-    wordCategory,
     participants: [],
     words: [],
+    ...fields,
     hostId: user._id,
+    hostUsername: user.username,
   });
+  syncTeams(newRoom);
+  await newRoom.save();
 
+  // 2. Create chat document with initial system message
   await Chats.create({
     roomCode: roomId, // link chat to this room
     chats: [
@@ -35,39 +211,320 @@ const createRoom = asyncHandler(async (req, res) => {
     canvasChange: [],
   });
 
-  res.status(201).json(newRoom); // send full room
+  return newRoom;
+};
+
+const createRoom = asyncHandler(async (req, res) => {
+  const { roomName } = req.body;
+  const user = req.user;
+
+  const gameSettings = parseGameSettings(res, req.body);
+  const customWordSettings = parseCustomWordSettings(res, req.body);
+  const hintSettings = parseHintSettings(res, req.body);
+  const teamSettings = parseTeamSettings(res, req.body);
+  const visibility = parseVisibility(res, req.body);
+  const password = await parseRoomPassword(res, req.body);
+
+  const newRoom = await createRoomFor(user, {
+    roomName,
+    ...gameSettings,
+    ...customWordSettings,
+    ...hintSettings,
+    ...teamSettings,
+    ...visibility,
+    ...password,
+  });
+
+  res.status(201).json(serializeRoom(newRoom, user._id));
 });
 
+// Public, active rooms with someone in them that `user` isn't banned from.
+// `filters` may carry wordCategory, difficultyLevel and isStarted.
+const openRoomsPipeline = (user, filters = {}) => {
+  const match = {
+    visibility: "public",
+    isActive: true,
+    bannedUserIds: { $ne: user._id },
+  };
+  if (filters.wordCategory) match.wordCategory = new RegExp(`^${escapeRegex(filters.wordCategory)}$`, "i");
+  if (filters.difficultyLevel) match.difficultyLevel = filters.difficultyLevel;
+  if (filters.isStarted !== undefined) match.isStarted = filters.isStarted;
+  if (filters.search) match.roomName = new RegExp(escapeRegex(filters.search), "i");
+  if (filters.passwordless) match.password = null;
+  if (filters.hasFreeSeat) match.$expr = hasFreeSeatExpr;
+
+  return [
+    { $match: match },
+    {
+      $addFields: {
+        playerCount: {
+          $size: {
+            $filter: { input: "$participants", cond: { $ne: ["$$this.isOnline", false] } },
+          },
+        },
+      },
+    },
+    { $match: { playerCount: { $gt: 0 } } }, // nobody left online -> not listed
+    { $project: { words: 0, customWords: 0, wordChoices: 0, voteKicks: 0, bannedUserIds: 0, invites: 0 } },
+  ];
+};
+
+// Shared query parsing for the lobby filters
+const parseRoomFilters = (res, query) => {
+  const filters = {};
+
+  if (query.category) filters.wordCategory = String(query.category);
+  if (query.difficulty) {
+    if (!DIFFICULTIES.includes(query.difficulty)) {
+      res.status(400);
+      throw new Error(`difficulty must be one of: ${DIFFICULTIES.join(", ")}`);
+    }
+    filters.difficultyLevel = query.difficulty;
+  }
+  if (query.started !== undefined) filters.isStarted = query.started === "true";
+  if (query.search) filters.search = String(query.search).slice(0, 50);
+
+  return filters;
+};
+
+// GET /room/public?category=&difficulty=&started=true|false&search=&page=1&limit=20
+const publicRooms = asyncHandler(async (req, res) => {
+  const filters = parseRoomFilters(res, req.query);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+  const [result] = await Rooms.aggregate([
+    ...openRoomsPipeline(req.user, filters),
+    { $sort: { isStarted: 1, playerCount: -1, createdAt: -1 } },
+    {
+      $facet: {
+        rooms: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  res.status(200).json({
+    rooms: result.rooms.map(summarizeRoom),
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// POST /room/quick-play { category?, difficulty? }
+// Joins the fullest public room (no password, a free seat, still in its lobby) that matches,
+// or opens a new one.
+const quickPlay = asyncHandler(async (req, res) => {
+  const filters = parseRoomFilters(res, {
+    category: req.body.category,
+    difficulty: req.body.difficulty,
+  });
+
+  const [best] = await Rooms.aggregate([
+    ...openRoomsPipeline(req.user, { ...filters, isStarted: false, passwordless: true, hasFreeSeat: true }),
+    { $sort: { playerCount: -1, createdAt: 1 } },
+    { $limit: 1 },
+    { $project: { _id: 1 } },
+  ]);
+
+  if (best) {
+    const room = await Rooms.findOne({ _id: best._id });
+    return res.status(200).json({ created: false, room: serializeRoom(room, req.user._id) });
+  }
+
+  const room = await createRoomFor(req.user, {
+    roomName: `${req.user.username}'s room`,
+    visibility: "public",
+    ...(filters.wordCategory && { wordCategory: filters.wordCategory.toLowerCase() }),
+    ...(filters.difficultyLevel && { difficultyLevel: filters.difficultyLevel }),
+  });
+
+  res.status(201).json({ created: true, room: serializeRoom(room, req.user._id) });
+});
+
+// POST /room/join { roomCode, password?, asSpectator? } or { inviteToken } (the code is optional with an invite)
 const joinRoom = asyncHandler(async (req, res) => {
   try {
-    const { roomCode } = req.body;
+    const { roomCode, password, inviteToken, asSpectator } = req.body;
 
-    // 1. Find room by code
-    const room = await Rooms.findOne({ roomId: roomCode });
+    // 1. Find room by code, or by the room the invite points at
+    let room;
+    if (roomCode) {
+      room = await Rooms.findOne({ roomId: roomCode });
+    } else if (inviteToken) {
+      const invite = decodeInviteToken(inviteToken);
+      if (invite.error) return res.status(403).json({ message: invite.error });
+      room = await Rooms.findOne({ _id: invite.roomId });
+    }
     if (!room) {
       return res.status(404).json({ message: "Room not found" });
     }
 
-    if(room.isStarted){
-      res.status(404) ;
-      throw new Error("Game already started") ;
+    if (room.bannedUserIds.some((id) => String(id) === String(req.user._id))) {
+      return res.status(403).json({ message: "You are banned from this room" });
+    }
+
+    const accessError = await checkRoomAccess(room, req.user, { password, inviteToken });
+    if (accessError) {
+      return res.status(403).json({ message: accessError });
+    }
+
+    // full rooms turn mid-game joiners into spectators
+    const joinAs = pickJoinRole(room, req.user, { asSpectator: !!asSpectator });
+    if (!joinAs) {
+      return res.status(403).json({ message: "Room is full" });
     }
 
-    res.json(room); // send full room
+    res.json({ ...serializeRoom(room, req.user._id), joinAs });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-const roomDetail = asyncHandler(async (req,res) => {
-  try {
-    const room = await Rooms.findOne({ _id: req.params.roomId });
-    if (!room) return res.status(404).json({ message: "Room not found" });
+// Loads :roomId for someone allowed to look at it (utils/roomAccess.js canViewRoom)
+const findViewableRoom = async (req, res) => {
+  const room = await Rooms.findOne({ _id: req.params.roomId });
+  if (!room) {
+    res.status(404);
+    throw new Error("Room not found");
+  }
 
-    res.json(room);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+  if (!canViewRoom(room, req.user)) {
+    res.status(403);
+    throw new Error("Join the room to see it");
   }
+
+  return room;
+};
+
+const roomDetail = asyncHandler(async (req,res) => {
+  const room = await findViewableRoom(req, res);
+  res.json(serializeRoom(room, req.user._id));
 })  
 
-module.exports = { createRoom , joinRoom , roomDetail} ;
+// Loads :roomId and makes sure the requester hosts it
+const findHostedRoom = async (req, res, action) => {
+  const room = await Rooms.findOne({ _id: req.params.roomId });
+  if (!room) {
+    res.status(404);
+    throw new Error("Room not found");
+  }
+
+  if (String(room.hostId) !== String(req.user._id)) {
+    res.status(403);
+    throw new Error(`Only the host can ${action}`);
+  }
+
+  return room;
+};
+
+// PATCH /room/:roomId -> host only, while the room is still in its lobby
+const updateRoomSettings = asyncHandler(async (req, res) => {
+  const room = await findHostedRoom(req, res, "change room settings");
+
+  if (room.isStarted) {
+    res.status(400);
+    throw new Error("Settings can't be changed after the game has started");
+  }
+
+  const update = {
+    ...parseGameSettings(res, req.body, room),
+    ...parseCustomWordSettings(res, req.body, room),
+    ...parseHintSettings(res, req.body),
+    ...parseTeamSettings(res, req.body),
+    ...parseVisibility(res, req.body),
+    ...(await parseRoomPassword(res, req.body)),
+  };
+  room.set(update);
+  syncTeams(room);
+  await room.save();
+
+  // everyone in the room sees the new settings straight away
+  const io = req.app.get("io");
+  if (io) {
+    io.to(String(room._id)).emit("settingsUpdated", publicSettings(room));
+    notifyLobby(io, room);
+  }
+
+  res.json(serializeRoom(room, req.user._id));
+});
+
+// POST /room/:roomId/invites { expiresInHours? } -> { inviteId, token, expiresAt }
+const createInviteLink = asyncHandler(async (req, res) => {
+  const room = await findHostedRoom(req, res, "create invite links");
+
+  let hours;
+  if (req.body.expiresInHours !== undefined) {
+    hours = Number(req.body.expiresInHours);
+    if (!(hours > 0 && hours <= MAX_INVITE_HOURS)) {
+      res.status(400);
+      throw new Error(`expiresInHours must be between 0 and ${MAX_INVITE_HOURS}`);
+    }
+  }
+
+  const invite = createInvite(room, req.user, hours);
+  await room.save();
+
+  res.status(201).json(invite);
+});
+
+// GET /room/:roomId/invites -> live (unexpired, unrevoked) invites
+const listInvites = asyncHandler(async (req, res) => {
+  const room = await findHostedRoom(req, res, "see invite links");
+  res.status(200).json(room.invites.filter((invite) => invite.expiresAt > new Date()));
+});
+
+// DELETE /room/:roomId/invites/:inviteId -> the token stops working straight away
+const revokeInvite = asyncHandler(async (req, res) => {
+  const room = await findHostedRoom(req, res, "revoke invite links");
+
+  const before = room.invites.length;
+  room.invites = room.invites.filter((invite) => invite.inviteId !== req.params.inviteId);
+  if (room.invites.length === before) {
+    res.status(404);
+    throw new Error("Invite not found");
+  }
+
+  await room.save();
+  res.status(200).json({ message: "Invite revoked" });
+});
+
+// GET /room/:roomId/canvas.svg | canvas.png  (?width=200 for thumbnails)
+const loadCanvasForRender = async (req, res) => {
+  const room = await findViewableRoom(req, res);
+
+  const chatDoc = await Chats.findOne({ roomCode: room.roomId });
+  const width = Number(req.query.width);
+  const scale = width > 0 ? Math.min(Math.max(width / CANVAS_WIDTH, 0.05), 2) : 1;
+
+  res.set("Cache-Control", "no-store");
+  return { history: getCanvasHistory(chatDoc, room.roomId), scale };
+};
+
+const canvasSvg = asyncHandler(async (req, res) => {
+  const { history, scale } = await loadCanvasForRender(req, res);
+  res.type("image/svg+xml").send(renderSvg(history, { scale }));
+});
+
+const canvasPng = asyncHandler(async (req, res) => {
+  const { history, scale } = await loadCanvasForRender(req, res);
+  res.type("image/png").send(renderPng(history, { scale }));
+});
+
+module.exports = {
+  createRoom ,
+  joinRoom ,
+  roomDetail ,
+  updateRoomSettings ,
+  canvasSvg ,
+  canvasPng ,
+  publicRooms ,
+  quickPlay ,
+  createInviteLink ,
+  listInvites ,
+  revokeInvite ,
+} ;
@@ -3,6 +3,8 @@ const Users = require("../models/userModel") ;
 const bcrypt = require("bcrypt") ;
 const validator = require("validator");
 const jwt = require("jsonwebtoken") ;
+const Games = require("../models/gameModel");
+const { getBadges } = require("../utils/achievements");
 
 const createUser = asyncHandler(async (req, res) => {
   const { username, email, password } = req.body;
@@ -58,7 +60,13 @@ const createUser = asyncHandler(async (req, res) => {
 });
 
 const userData = asyncHandler(async(req, res) => {
-  res.status(200).json({username : req.user.username , email : req.user.email}) ;
+  res.status(200).json({
+    username : req.user.username ,
+    email : req.user.email ,
+    rating : req.user.rating ,
+    ratedGames : req.user.ratedGames ,
+    badges : getBadges(req.user) ,
+  }) ;
 })
 
 const signIn = asyncHandler(async (req, res) => {
@@ -101,9 +109,61 @@ const signIn = asyncHandler(async (req, res) => {
   });
 }) ;
 
+// GET /user/stats -> totals over every recorded game
+const userStats = asyncHandler(async (req, res) => {
+  const [totals] = await Games.aggregate([
+    { $match: { "players.userId": req.user._id } },
+    { $unwind: "$players" },
+    { $match: { "players.userId": req.user._id } },
+    {
+      $group: {
+        _id: null,
+        gamesPlayed: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ["$players.rank", 1] }, 1, 0] } },
+        totalScore: { $sum: "$players.score" },
+        wordsDrawn: { $sum: "$players.wordsDrawn" },
+        correctGuesses: { $sum: "$players.correctGuesses" },
+        guessRounds: { $sum: "$players.guessRounds" },
+      },
+    },
+  ]);
+
+  const stats = totals || { gamesPlayed: 0, wins: 0, totalScore: 0, wordsDrawn: 0, correctGuesses: 0, guessRounds: 0 };
+
+  res.status(200).json({
+    gamesPlayed: stats.gamesPlayed,
+    wins: stats.wins,
+    averageScore: stats.gamesPlayed ? Math.round((stats.totalScore / stats.gamesPlayed) * 10) / 10 : 0,
+    wordsDrawn: stats.wordsDrawn,
+    correctGuesses: stats.correctGuesses,
+    // share of rounds as a guesser in which they got the word
+    guessAccuracy: stats.guessRounds ? Math.round((stats.correctGuesses / stats.guessRounds) * 1000) / 1000 : 0,
+  });
+});
+
+// GET /user/games?page=1&limit=10 -> most recent games first
+const userGames = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const filter = { "players.userId": req.user._id };
+
+  const [games, total] = await Promise.all([
+    Games.find(filter).sort({ endedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Games.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    games,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
 const getUsers = asyncHandler(async (req, res) => {
   const users = await Users.find();
   res.status(200).json({users})
 })
 
-module.exports = { createUser, userData , getUsers , signIn} ;
\ No newline at end of file
+module.exports = { createUser, userData , getUsers , signIn , userStats , userGames } ;
\ No newline at end of file
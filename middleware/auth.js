@@ -2,6 +2,16 @@ const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const Users = require("../models/userModel");
 
+// Shared by the REST `protect` middleware and the Socket.IO handshake
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.PRIVATE_KEY);
+
+  const user = await Users.findById(decoded.id).select("-password");
+  if (!user) throw new Error("User not found");
+
+  return user;
+};
+
 const protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -13,11 +23,8 @@ const protect = asyncHandler(async (req, res, next) => {
       // Extract token
       token = req.headers.authorization.split(" ")[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.PRIVATE_KEY);
-
-      // Attach user to req
-      req.user = await Users.findById(decoded.id).select("-password");
+      // Verify token & attach user to req
+      req.user = await getUserFromToken(token);
 
       next();
     } catch (error) {
@@ -32,4 +39,31 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-module.exports = { protect };
+// Socket.IO middleware: same rules as `protect`, token comes from
+// handshake.auth.token (or an Authorization header). Rejected connections get
+// a `connect_error` on the client with the message below.
+const socketProtect = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  let token = auth.token || headers.authorization;
+  if (typeof token === "string" && token.startsWith("Bearer")) {
+    token = token.split(" ")[1];
+  }
+
+  if (!token) {
+    const err = new Error("Not authorized, no token");
+    err.data = { status: 401 };
+    return next(err);
+  }
+
+  try {
+    socket.data.user = await getUserFromToken(token);
+    next();
+  } catch (error) {
+    const err = new Error("Not authorized, token failed");
+    err.data = { status: 401 };
+    next(err);
+  }
+};
+
+module.exports = { protect, socketProtect };
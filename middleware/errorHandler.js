@@ -1,6 +1,7 @@
 const errorHandler = (err , req , res , next) => {
 
-    const statusCode = err.statusCode || 500 ;
+    // controllers set res.status(...) before throwing
+    const statusCode = err.statusCode || (res.statusCode >= 400 ? res.statusCode : 500) ;
     if(statusCode === 200) return ;
 
     res.status(statusCode).json({
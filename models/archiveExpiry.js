@@ -0,0 +1,9 @@
+// TTL field for archived game data (round archives, telephone chains): Mongo drops
+// the document ROUND_ARCHIVE_RETENTION_DAYS (default 30) after it was written.
+const RETENTION_DAYS = Number(process.env.ROUND_ARCHIVE_RETENTION_DAYS) || 30;
+
+module.exports = {
+  type: Date,
+  default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  expires: 0,
+};
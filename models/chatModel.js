@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const strokeFields = require("./strokeFields");
 
 const chatSchema = new mongoose.Schema({
   roomCode: { type: String, required: true },
@@ -11,17 +12,8 @@ const chatSchema = new mongoose.Schema({
     }
   ],
 
-  canvasChange: [
-    {
-      x: Number,
-      y: Number,
-      color: String,
-      lineWidth: Number, // changed from strokeWidth to lineWidth
-      mode: { type: String, enum: ["draw", "erase"] },
-      type: { type: String, enum: ["start", "draw", "end", "clear"] },
-      timestamp: { type: Date, default: Date.now }
-    }
-  ],
+  // one entry per whole stroke (or a canvas clear), see utils/canvasStore.js
+  canvasChange: [strokeFields],
 
   correctAnswers: [
     {
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// One document per finished game. _id is the room's currentGameId, the same id
+// the round archives (models/roundArchiveModel.js) are grouped by.
+const gameSchema = new mongoose.Schema(
+  {
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Rooms" },
+    roomCode: { type: String },
+    roomName: { type: String, default: "" },
+
+    // settings the game was played with
+    settings: {
+      difficultyLevel: String,
+      wordCategory: String,
+      roundDuration: Number,
+      hintCount: Number,
+      customWordsMode: String,
+      gameMode: String,
+    },
+
+    // team mode only: final team scores
+    teams: [
+      {
+        _id: false,
+        teamId: Number,
+        name: String,
+        score: Number,
+      },
+    ],
+
+    roundsPlayed: { type: Number, default: 0 },
+    words: { type: [String], default: [] }, // words drawn, in round order
+
+    players: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        username: { type: String, required: true },
+        score: { type: Number, default: 0 },
+        team: { type: Number, default: null },
+        rank: { type: Number, default: 1 }, // ties share a rank (1, 1, 3)
+        wordsDrawn: { type: Number, default: 0 },
+        correctGuesses: { type: Number, default: 0 },
+        guessRounds: { type: Number, default: 0 }, // rounds they could have guessed in
+        // only set for rated players, see utils/rating.js
+        ratingBefore: { type: Number },
+        ratingChange: { type: Number },
+      },
+    ],
+
+    rated: { type: Boolean, default: false }, // counted towards ratings
+
+    startedAt: { type: Date },
+    endedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+gameSchema.index({ "players.userId": 1, endedAt: -1 });
+gameSchema.index({ rated: 1, endedAt: -1 });
+
+module.exports = mongoose.model("Games", gameSchema);
@@ -13,6 +13,12 @@ const roomSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // public rooms show up in GET /room/public and quick-play, private ones need the code
+    visibility: {
+      type: String,
+      enum: ["public", "private"],
+      default: "private",
+    },
     difficultyLevel: {
       type: String,
       enum: ["easy", "medium", "hard"],
@@ -32,6 +38,24 @@ const roomSchema = new mongoose.Schema(
         username: { type: String, required: true },
         score: { type: Number, default: 0 },
         socketId: { type: String }, // ✅ store socket.id for targeting
+        joinedAt: { type: Date, default: Date.now }, // used to pick the next host
+        isOnline: { type: Boolean, default: true }, // false while inside the reconnect grace period
+        disconnectedAt: { type: Date, default: null },
+        team: { type: Number, default: null }, // teamId in team mode
+        // team mode turn rotation (utils/teams.js nextTeamTurn)
+        drewThisRound: { type: Boolean, default: false },
+        lastDrewAt: { type: Date, default: null },
+      },
+    ],
+
+    // Watch-only members: see the canvas and chat, never draw, guess or score.
+    // They don't count towards maxPlayers and can take a seat between games.
+    spectators: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        username: { type: String, required: true },
+        socketId: { type: String },
+        joinedAt: { type: Date, default: Date.now },
       },
     ],
 
@@ -39,6 +63,36 @@ const roomSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId, 
       ref: "Users"
     },
+    hostUsername: {
+      type: String,
+      default: "",
+    },
+
+    // Optional join password (bcrypt hash, never sent to clients)
+    password: {
+      type: String,
+      default: null,
+    },
+    // live invite links; removing one revokes its token (utils/roomAccess.js)
+    invites: [
+      {
+        _id: false,
+        inviteId: { type: String, required: true },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        expiresAt: { type: Date, required: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Moderation: banned users can't rejoin, open vote-kicks per target
+    bannedUserIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Users" }],
+    voteKicks: [
+      {
+        targetId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        voterIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Users" }],
+        startedAt: { type: Date, default: Date.now },
+      },
+    ],
 
     // ✅ Turn management
     currentTurnIndex: {
@@ -57,8 +111,37 @@ const roomSchema = new mongoose.Schema(
       default: "",
     },
 
+    // lobby -> choosing (drawer picks a word) -> drawing (round timer running)
+    // -> roundEnd (word revealed, short pause before the next turn)
+    // telephone mode: lobby -> telephone (chain steps) -> reveal
+    phase: {
+      type: String,
+      enum: ["lobby", "choosing", "drawing", "roundEnd", "telephone", "reveal"],
+      default: "lobby",
+    },
+    wordChoices: {
+      type: [String], // candidates offered to the drawer, only the drawer sees them
+      default: [],
+    },
+    choosingEndsAt: { type: Number }, // Date.now() deadline for picking a word
+
     roundStartTime: { type: Number }, // store Date.now() timestamp
 
+    // Letter hints: how many, and when (fractions of roundDuration)
+    hintCount: {
+      type: Number,
+      default: 2,
+    },
+    hintTimings: {
+      type: [Number],
+      default: [0.5, 0.75],
+    },
+    // character indices of currentWord revealed so far this round
+    revealedHints: {
+      type: [Number],
+      default: [],
+    },
+
     // NEW: leaderboard (array of { username, score })
     leaderboard: [
       {
@@ -74,6 +157,23 @@ const roomSchema = new mongoose.Schema(
       default: [],
     },
 
+    // Host-supplied word list + how it combines with generated words
+    customWords: {
+      type: [String],
+      default: [],
+    },
+    customWordsMode: {
+      type: String,
+      enum: ["custom", "mixed"], // custom only | custom mixed with generated
+      default: "mixed",
+    },
+
+    // set on every startGame, archived rounds are grouped by it
+    currentGameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
     // NEW: game status
     isStarted: { type: Boolean, default: false },
 
@@ -85,10 +185,48 @@ const roomSchema = new mongoose.Schema(
     maxRounds: {
       type: Number,
       default: 3,
-    }
+    },
+    // 1-based round in progress; a round is one turn for every player
+    currentRound: {
+      type: Number,
+      default: 0,
+    },
+
+    // Team mode (utils/teams.js): players split into teamCount teams that take
+    // turns drawing; only the drawer's team can score.
+    // Telephone mode (utils/telephone.js): draw / describe chains, no scores.
+    gameMode: {
+      type: String,
+      enum: ["classic", "teams", "telephone"],
+      default: "classic",
+    },
+    teamCount: {
+      type: Number,
+      default: 2,
+    },
+    teamAssignment: {
+      type: String,
+      enum: ["auto", "host"], // balanced at startGame | host picks with assignTeam
+      default: "auto",
+    },
+    teams: [
+      {
+        _id: false,
+        teamId: { type: Number, required: true },
+        name: { type: String, required: true },
+        score: { type: Number, default: 0 },
+      },
+    ],
+
+    maxPlayers: {
+      type: Number,
+      default: 8, // seated participants, see utils/roomAccess.js
+    },
 
   },
   { timestamps: true }
 );
 
+roomSchema.index({ visibility: 1, isActive: 1, isStarted: 1 });
+
 module.exports = mongoose.model("Rooms", roomSchema);
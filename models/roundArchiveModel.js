@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const strokeFields = require("./strokeFields");
+const archiveExpiry = require("./archiveExpiry");
+
+const roundArchiveSchema = new mongoose.Schema(
+  {
+    gameId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Rooms" },
+    roomCode: { type: String },
+    roundNumber: { type: Number, required: true },
+
+    drawerId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+    drawerUsername: { type: String, default: "" },
+    word: { type: String, default: "" },
+
+    // same entries as Chats.canvasChange, in draw order
+    strokes: [strokeFields],
+
+    guessers: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        username: String,
+        timestamp: Date,
+      },
+    ],
+
+    // everyone in the room when the round ended, only they can replay it
+    playerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Users" }],
+
+    startedAt: { type: Date },
+    endedAt: { type: Date, default: Date.now },
+
+    // TTL: Mongo drops the document once this passes
+    expiresAt: archiveExpiry,
+  },
+  { timestamps: true }
+);
+
+roundArchiveSchema.index({ gameId: 1, roundNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("RoundArchives", roundArchiveSchema);
@@ -0,0 +1,12 @@
+// Fields of one canvas history entry (a whole stroke, a fill or a clear),
+// see utils/canvasStore.js. Shared by every model that stores drawings.
+module.exports = {
+  strokeId: String,
+  type: { type: String, enum: ["stroke", "fill", "clear"], default: "stroke" },
+  points: [Number], // flat [x0, y0, x1, y1, ...] (fill: the seed [x, y])
+  color: String,
+  lineWidth: Number, // changed from strokeWidth to lineWidth
+  mode: { type: String, enum: ["draw", "erase"] },
+  undone: { type: Boolean, default: false }, // hidden by undo, replays skip it
+  timestamp: { type: Date, default: Date.now },
+};
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const strokeFields = require("./strokeFields");
+const archiveExpiry = require("./archiveExpiry");
+
+// Chains of a telephone game (utils/telephone.js). Kept as long as round archives.
+
+const telephoneSchema = new mongoose.Schema(
+  {
+    gameId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true }, // room.currentGameId
+    roomId: { type: mongoose.Schema.Types.ObjectId, ref: "Rooms" },
+
+    // seating order at the start; player i starts chain i
+    players: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        username: String,
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ["playing", "reveal", "done"],
+      default: "playing",
+    },
+    step: { type: Number, default: 0 }, // 0 = prompts, then draw / describe alternately
+    stepEndsAt: { type: Number },       // Date.now() deadline for the current step
+
+    // reveal cursor, moved by the host with revealNext
+    revealChain: { type: Number, default: 0 },
+    revealEntry: { type: Number, default: -1 },
+
+    chains: [
+      {
+        ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+        ownerUsername: String,
+        entries: [
+          {
+            _id: false,
+            type: { type: String, enum: ["prompt", "draw", "describe"], required: true },
+            authorId: { type: mongoose.Schema.Types.ObjectId, ref: "Users" },
+            authorUsername: String,
+            text: { type: String, default: "" },  // prompt / describe
+            strokes: [strokeFields],              // draw, same format as the shared canvas
+            skipped: { type: Boolean, default: false }, // ran out of time
+            submittedAt: { type: Date, default: Date.now },
+          },
+        ],
+      },
+    ],
+
+    expiresAt: archiveExpiry,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TelephoneGames", telephoneSchema);
@@ -19,6 +19,24 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please enter a password"],
     },
+    // global skill rating, updated when a rated game finishes (utils/rating.js)
+    rating: {
+      type: Number,
+      default: 1000,
+      index: true,
+    },
+    ratedGames: {
+      type: Number,
+      default: 0,
+    },
+    // unlocked badges, definitions live in utils/achievements.js
+    achievements: [
+      {
+        _id: false,
+        id: { type: String, required: true },
+        unlockedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
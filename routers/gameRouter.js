@@ -0,0 +1,10 @@
+const express = require("express") ;
+const { listRounds, roundTimeline, telephoneChains } = require("../controllers/gameController");
+
+const router = express.Router() ;
+
+router.route("/:gameId/rounds").get(listRounds)
+router.route("/:gameId/rounds/:roundNumber").get(roundTimeline)
+router.route("/:gameId/chains").get(telephoneChains)
+
+module.exports = router ;
@@ -1,5 +1,17 @@
 const express = require("express") ;
-const { createRoom, joinRoom, roomDetail } = require("../controllers/roomController");
+const {
+  createRoom,
+  joinRoom,
+  roomDetail,
+  updateRoomSettings,
+  canvasSvg,
+  canvasPng,
+  publicRooms,
+  quickPlay,
+  createInviteLink,
+  listInvites,
+  revokeInvite,
+} = require("../controllers/roomController");
 const { userData } = require("../controllers/userController");
 
 const router = express.Router() ;
@@ -7,6 +19,12 @@ const router = express.Router() ;
 router.route("/create").post(createRoom)
 router.route("/join").post(joinRoom)
 router.route("/user").get(userData) 
-router.route("/:roomId").get(roomDetail)
+router.route("/public").get(publicRooms)
+router.route("/quick-play").post(quickPlay)
+router.route("/:roomId").get(roomDetail).patch(updateRoomSettings)
+router.route("/:roomId/invites").get(listInvites).post(createInviteLink)
+router.route("/:roomId/invites/:inviteId").delete(revokeInvite)
+router.route("/:roomId/canvas.svg").get(canvasSvg)
+router.route("/:roomId/canvas.png").get(canvasPng)
 
 module.exports = router ;
\ No newline at end of file
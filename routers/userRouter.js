@@ -1,10 +1,12 @@
 const express = require("express") ;
-const { createUser, getUsers, signIn, userData } = require("../controllers/userController");
+const { createUser, getUsers, signIn, userData, userStats, userGames } = require("../controllers/userController");
 const getAuth = require("../controllers/getAuth");
 
 const router = express.Router() ;
 
 router.route("/").get(userData)
+router.route("/stats").get(userStats)
+router.route("/games").get(userGames)
 // router.route("/dashboard").get()
 
 module.exports = router ;
\ No newline at end of file
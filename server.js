@@ -6,7 +6,7 @@ const { Server } = require("socket.io");
 const dotenv = require("dotenv");
 const dbConnection = require("./config/dbConnection");
 const errorHandler = require("./middleware/errorHandler");
-const { protect } = require("./middleware/auth");
+const { protect, socketProtect } = require("./middleware/auth");
 
 dotenv.config();
 dbConnection();
@@ -24,8 +24,10 @@ app.use(express.json());
 
 // ===== REST Routes =====
 app.use("/", require("./routers/auth"));
+app.use("/leaderboard", require("./routers/leaderboardRouter")); // public
 app.use("/user", protect, require("./routers/userRouter"));
 app.use("/room", protect, require("./routers/roomRouter"));
+app.use("/games", protect, require("./routers/gameRouter"));
 app.use(errorHandler);
 
 // ===== HTTP + Socket.IO =====
@@ -39,18 +41,93 @@ const io = new Server(server, {
   },
 });
 
+// Every socket must carry a valid JWT; the user lands on socket.data.user
+io.use(socketProtect);
+
+// Lobby namespace: live updates for the public room list (utils/lobby.js)
+io.of("/lobby").use(socketProtect);
+
+// REST controllers reach Socket.IO through req.app.get("io")
+app.set("io", io);
+
     // ===== Models =====
     const Rooms = require("./models/roomModel");
     const Chats = require("./models/chatModel");
     const mongoose = require("mongoose");
-    const { generateWords } = require("./utils/generateWords");
+    const { getRoomWords } = require("./utils/wordProviders");
+    const { serializeRoom } = require("./utils/serializeRoom");
+    const { notifyLobby } = require("./utils/lobby");
+    const { getHintSchedule, pickHintIndex, hintMultiplier } = require("./utils/hints");
+    const { getWordDifficulty } = require("./utils/wordBank");
+    const { matchAnswer } = require("./utils/answerMatcher");
+    const {
+      addStrokePoints,
+      addFill,
+      addClear,
+      undoStroke,
+      redoStroke,
+      getCanvasHistory,
+      dropPendingStrokes,
+    } = require("./utils/canvasStore");
+    const { validateDrawing, createPointLimiter } = require("./utils/drawingValidation");
+    const { archiveRound } = require("./utils/roundArchive");
+    const { recordGame } = require("./utils/gameHistory");
+    const { unlockAchievements } = require("./utils/achievements");
+    const TelephoneGames = require("./models/telephoneModel");
+    const {
+      MIN_PLAYERS: TELEPHONE_MIN_PLAYERS,
+      stepType,
+      chainFor,
+      seatFor,
+      stepDuration,
+      validateText,
+      draftKey,
+      addToDraft,
+      undoDraft,
+      redoDraft,
+      peekDraft,
+      discardDraft,
+      takeDraft,
+      dropDrafts,
+    } = require("./utils/telephone");
+    const {
+      isTeamGame,
+      teamOf,
+      membersOf,
+      smallestTeam,
+      syncTeams,
+      nextTeamTurn,
+      checkTeamsReady,
+      addTeamScore,
+      winningTeam,
+    } = require("./utils/teams");
+    const {
+      checkRoomAccess,
+      decodeInviteToken,
+      pickJoinRole,
+      hasFreeSeatExpr,
+    } = require("./utils/roomAccess");
 
     // ---- Global round state (shared across all sockets) ----
     const roundTimers = new Map();     // key: roomId string -> setInterval handle
     const roundEnding = new Set();     // key: roomId string -> lock to avoid double end
+    const choosingTimers = new Map();  // key: roomId string -> setTimeout handle for word choice
+    const roundEndTimers = new Map();  // key: roomId string -> setTimeout handle for the pause after a round
+    const telephoneTimers = new Map(); // key: roomId string -> setTimeout handle for a telephone step
+    const disconnectTimers = new Map(); // key: "roomId:userId" -> setTimeout handle for grace period
+
+    const WORD_CHOICE_COUNT = 3;
+    const WORD_CHOICE_TIMEOUT = 15000; // ms the drawer has to pick a word
+    const VOTE_KICK_WINDOW = 60000;    // ms a vote-kick stays open
+    const MAX_MESSAGE_LENGTH = 200;    // chars in a chat message or guess
+    // how long a disconnected player keeps their seat (RECONNECT_GRACE_SECONDS, default 30s)
+    const RECONNECT_GRACE_PERIOD = (Number(process.env.RECONNECT_GRACE_SECONDS) || 30) * 1000;
+
+    const isOnline = (p) => p.isOnline !== false;
 
     const keyOf = (id) => id?.toString?.() || String(id);
 
+    // clears the round interval and any pending word-choice / telephone step timeout
     function clearRoomTimer(roomId) {
       const k = keyOf(roomId);
       const t = roundTimers.get(k);
@@ -58,6 +135,104 @@ const io = new Server(server, {
         clearInterval(t);
         roundTimers.delete(k);
       }
+      const c = choosingTimers.get(k);
+      if (c) {
+        clearTimeout(c);
+        choosingTimers.delete(k);
+      }
+      clearTimeout(telephoneTimers.get(k));
+      telephoneTimers.delete(k);
+      clearTimeout(roundEndTimers.get(k));
+      roundEndTimers.delete(k);
+    }
+
+    // All game traffic goes through the Socket.IO room keyed by the room's _id
+    const roomChannel = (io, roomId) => io.to(keyOf(roomId));
+
+    // Every socket also joins a personal channel, for events aimed at one user
+    const userChannel = (io, userId) => io.to(`user:${keyOf(userId)}`);
+
+    // Report a game event to the achievement engine (utils/achievements.js)
+    // and tell the user about anything it unlocked
+    function triggerAchievements(io, event, ctx) {
+      unlockAchievements(event, ctx)
+        .then((unlocked) => {
+          unlocked.forEach((achievement) => userChannel(io, ctx.userId).emit("achievementUnlocked", achievement));
+        })
+        .catch((err) => console.error("achievements error:", err));
+    }
+
+    // System chat line (userId "1") to everyone in the room
+    function sendSystemMessage(io, roomId, message) {
+      roomChannel(io, roomId).emit("receiveMessage", { userId: "1", user: "", message });
+    }
+
+    // Room state goes out per recipient: the drawer and the host get their own view,
+    // everyone else in the room shares the masked guesser view
+    function emitRoomData(io, room, options) {
+      const personal = room.participants.filter(
+        (p) => p.socketId && [keyOf(room.currentTurnUserId), keyOf(room.hostId)].includes(keyOf(p.userId))
+      );
+
+      roomChannel(io, room._id)
+        .except(personal.map((p) => p.socketId))
+        .emit("roomData", serializeRoom(room, null, options));
+
+      for (const p of personal) {
+        io.to(p.socketId).emit("roomData", serializeRoom(room, p.userId, options));
+      }
+
+      notifyLobby(io, room);
+    }
+
+    function emitResult(io, room) {
+      roomChannel(io, room._id).emit("showResult", {
+        ...serializeRoom(room, null, { revealWord: true }),
+        winningTeam: winningTeam(room), // team mode only, null on a tie
+      });
+    }
+
+    // Game over: show the results and save the game to everyone's history
+    function finishGame(io, room) {
+      if (room.gameMode === "telephone") stopTelephone(room);
+
+      emitResult(io, room);
+      notifyLobby(io, room);
+      recordGame(room)
+        .then((game) => {
+          game?.players.forEach((player) => {
+            triggerAchievements(io, "gameEnd", { userId: player.userId, room, game, player });
+          });
+        })
+        .catch((err) => console.error("recordGame error:", err));
+    }
+
+    // Game cut short before the reveal: the chains stay unfinished
+    function stopTelephone(room) {
+      dropDrafts(room.currentGameId);
+      TelephoneGames.updateOne({ gameId: room.currentGameId, status: { $ne: "done" } }, { status: "done" })
+        .catch((err) => console.error("stopTelephone error:", err));
+    }
+
+    // Hand the room to the longest-present participant when the host is gone.
+    // Mutates `room` (caller saves) and returns the new host, or null if nothing changed.
+    function migrateHost(room) {
+      const hostId = keyOf(room.hostId);
+      if (room.participants.some((p) => keyOf(p.userId) === hostId)) return null;
+      if (room.participants.length === 0) return null;
+
+      const next = [...room.participants].sort(
+        (a, b) => (a.joinedAt?.getTime?.() || 0) - (b.joinedAt?.getTime?.() || 0)
+      )[0];
+
+      room.hostId = next.userId;
+      room.hostUsername = next.username;
+      return next;
+    }
+
+    function emitHostChanged(io, room) {
+      roomChannel(io, room._id).emit("hostChanged", { hostId: room.hostId, hostUsername: room.hostUsername });
+      sendSystemMessage(io, room._id, `${room.hostUsername} is now the host`);
     }
 
     // ===== SINGLE Socket.IO Connection Block =====
@@ -66,6 +241,21 @@ const io = new Server(server, {
     // Safely stringify ObjectId-like values
     const toId = (v) => (v && typeof v === "object" && v.toString ? v.toString() : String(v || ""));
 
+    // Identity always comes from the authenticated handshake, never the payload
+    const userId = toId(socket.data.user._id);
+    const username = socket.data.user.username;
+    socket.join(`user:${userId}`); // see userChannel
+
+    // per-socket budget of drawing points per second
+    const allowPoints = createPointLimiter();
+
+    // Sockets may only act on rooms they've actually joined
+    const inRoom = (roomId) => {
+      if (roomId && socket.rooms.has(String(roomId))) return true;
+      socket.emit("errorMessage", "Join the room first");
+      return false;
+    };
+
     async function startRound(io, roomId) {
       const k = keyOf(roomId);
       const room = await Rooms.findOne({ _id: roomId });
@@ -81,16 +271,49 @@ const io = new Server(server, {
 
       clearRoomTimer(k);
 
-      const handle = setInterval(async () => {
-        const elapsed = Date.now() - startTime;
-        const remaining = Math.max(totalTime - elapsed, 0);
+      const hintSchedule = getHintSchedule(room);
+      const revealed = [...(room.revealedHints || [])];
 
-        for (const p of room.participants) {
-          if (p.socketId) io.to(p.socketId).emit("timerUpdate", Math.ceil(remaining / 1000));
-        }
+      const handle = setInterval(async () => {
+        try {
+          const elapsed = Date.now() - startTime;
+          const remaining = Math.max(totalTime - elapsed, 0);
+
+          roomChannel(io, roomId).emit("timerUpdate", Math.ceil(remaining / 1000));
+
+          // reveal a letter each time we pass the next hint point
+          if (revealed.length < hintSchedule.length && elapsed >= hintSchedule[revealed.length] * totalTime) {
+            const index = pickHintIndex(room.currentWord, revealed);
+            if (index !== null) {
+              revealed.push(index);
+              // only while this round is still being drawn: a tick that was waiting on
+              // the db when the round ended must not re-mask the revealed word
+              const updated = await Rooms.findOneAndUpdate(
+                { _id: roomId, phase: "drawing", roundToken: room.roundToken },
+                { $set: { revealedHints: revealed } },
+                { new: true }
+              );
+              if (updated) {
+                emitRoomData(io, updated);
+
+                const drawer = updated.participants.find((p) => toId(p.userId) === toId(updated.currentTurnUserId));
+                roomChannel(io, roomId)
+                  .except(drawer?.socketId ? [drawer.socketId] : [])
+                  .emit("hintRevealed", {
+                    currentWord: serializeRoom(updated, null).currentWord,
+                    hintsRevealed: revealed.length,
+                  });
+              }
+            } else {
+              hintSchedule.length = revealed.length; // word too short for more hints
+            }
+          }
 
-        if (remaining <= 0) {
-          await endCurrentRound(io, roomId);
+          if (remaining <= 0) {
+            await endCurrentRound(io, roomId);
+          }
+        } catch (err) {
+          console.error("round timer error:", err);
         }
       }, 1000);
 
@@ -107,36 +330,48 @@ const io = new Server(server, {
       try {
         clearRoomTimer(k);
 
-        const room = await Rooms.findOne({ _id: roomId });
+        // leave "drawing" before the word is revealed: no more guesses, strokes or
+        // undo/redo, and a second call for the same round finds nothing to end
+        const room = await Rooms.findOneAndUpdate(
+          { _id: roomId, phase: "drawing" },
+          { $set: { phase: "roundEnd" } },
+          { new: true }
+        );
         if (!room) return;
 
+        // keep the drawing + guesses before they're wiped below
+        const round = await archiveRound(room).catch((err) => console.error("archiveRound error:", err));
+        if (round) triggerAchievements(io, "roundEnd", { userId: round.drawerId, room, round });
+
         // 1) Reveal answer & clear canvas on clients
-        for (const p of room.participants) {
-          if (p.socketId) {
-            io.to(p.socketId).emit("canvasCleared");
-            io.to(p.socketId).emit("showAnswer", true);
-          }
-        }
+        emitRoomData(io, room, { revealWord: true });
+        roomChannel(io, roomId).emit("canvasCleared");
+        roomChannel(io, roomId).emit("showAnswer", true);
+
+        // 2) Small pause then cleanup & next turn. Tracked so ending the game during
+        // the pause (clearRoomTimer) stops it from advancing a game started right after
+        roundEndTimers.set(k, setTimeout(async () => {
+          roundEndTimers.delete(k);
+          try {
+            dropPendingStrokes(room.roomId);
+            await Chats.updateOne(
+              { roomCode: room.roomId },
+              { $set: { canvasChange: [] } }
+            );
 
-        // 2) Small pause then cleanup & next turn
-        setTimeout(async () => {
-          await Chats.updateOne(
-            { roomCode: room.roomId },
-            { $set: { canvasChange: [] } }
-          );
+            roomChannel(io, roomId).emit("showAnswer", false);
 
-          for (const p of room.participants) {
-            if (p.socketId) io.to(p.socketId).emit("showAnswer", false);
-          }
+            const chatDoc = await Chats.findOne({ roomCode: room.roomId });
+            if (chatDoc) {
+              chatDoc.correctAnswers = [];
+              await chatDoc.save();
+            }
 
-          const chatDoc = await Chats.findOne({ roomCode: room.roomId });
-          if (chatDoc) {
-            chatDoc.correctAnswers = [];
-            await chatDoc.save();
+            await nextTurn(io, roomId);
+          } catch (err) {
+            console.error("round end error:", err);
           }
-
-          await nextTurn(io, roomId);
-        }, 5000);
+        }, 5000));
       } finally {
         roundEnding.delete(k);
       }
@@ -157,233 +392,747 @@ const io = new Server(server, {
         return;
       }
 
-      if (room.currentTurnIndex === 0) room.maxRounds -= 1;
-
-      room.currentTurnIndex = (room.currentTurnIndex + 1) % room.participants.length;
-
-      if (room.maxRounds <= 0) {
-        for (const p of room.participants) {
-          if (p.socketId) {
-            io.to(p.socketId).emit("receiveMessage", { userId: "1", user: "", message: "Game over!" });
-            io.to(p.socketId).emit("showResult", room);
-          }
-        }
-        setTimeout(async () => { await Chats.deleteOne({ roomCode: room.roomId }); }, 12000);
+      if (!room.participants.some(isOnline)) {
+        room.isStarted = false;
+        room.phase = "lobby";
+        await room.save();
         return;
       }
 
-      // ====== Fetch new word ======
-      let wordList = room.words || [];
-
-      if (wordList.length > 0) {
-        const randomIndex = Math.floor(Math.random() * wordList.length);
-        room.currentWord = wordList[randomIndex];
-
-        // Remove used word so it’s not repeated
-        wordList.splice(randomIndex, 1);
-        room.words = wordList;
+      if (isTeamGame(room)) {
+        // teams alternate, the rotation tracks who has drawn this round
+        const { drawer, newRound } = nextTeamTurn(room, isOnline);
+        if (newRound) room.currentRound = (room.currentRound || 1) + 1;
+        room.currentTurnIndex = room.participants.indexOf(drawer);
       } else {
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", { userId: "1", user: "", text: "Game has ended" });
-            io.to(participant.socketId).emit("showResult", room);
-          }
-        }
+        // advance to the next online drawer, offline players lose their turn
+        // wrapping back to the start of the list begins a new round (the index sits at -1
+        // after the first drawer was removed, moving on to 0 then isn't a wrap)
+        let steps = 0;
+        do {
+          const previous = room.currentTurnIndex;
+          room.currentTurnIndex = (previous + 1) % room.participants.length;
+          if (room.currentTurnIndex <= previous) room.currentRound = (room.currentRound || 1) + 1;
+          steps++;
+        } while (!isOnline(room.participants[room.currentTurnIndex]) && steps < room.participants.length);
       }
 
-      // word selection (same as yours) ...
+      if (room.currentRound > room.maxRounds) {
+        // back to the lobby so the host can change settings and play again
+        room.isStarted = false;
+        room.phase = "lobby";
+        room.currentRound = room.maxRounds;
+        await room.save();
+
+        sendSystemMessage(io, roomId, "Game over!");
+        finishGame(io, room);
+        return;
+      }
 
       const currentDrawer = room.participants[room.currentTurnIndex];
       room.currentTurnUserId = currentDrawer?.userId || null;
 
       await room.save();
 
-      for (const p of room.participants) {
-        if (p.socketId) {
-          io.to(p.socketId).emit("receiveMessage", { userId: "1", user: "", message: `It's ${currentDrawer?.username}'s turn to draw!` });
-          io.to(p.socketId).emit("roomData", room);
-          io.to(p.socketId).emit("gotAnswer", false);
-        }
-      }
+      roomChannel(io, roomId).emit("gotAnswer", false);
 
-      await startRound(io, roomId);
+      // drawer picks a word, startRound runs once it's locked in
+      await startChoosing(io, roomId);
     }
 
-    socket.on("submitAnswer", async ({ roomId, userId, answer }) => {
-      try {
-        const objectId = new mongoose.Types.ObjectId(roomId);
-        const room = await Rooms.findOne({ _id: objectId });
-        if (!room) return;
+    // ===== Word choice phase =====
+    async function startChoosing(io, roomId) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room || !room.isStarted) return;
 
-        const uid = toId(userId);
-        const player = (room.participants || []).find((p) => toId(p.userId) === uid);
-        if (!player) return;
+      clearRoomTimer(roomId);
 
-        const givenAnswer = (answer || "").trim().toLowerCase();
-        const correctWord = (room.currentWord || "").trim().toLowerCase();
+      const wordList = [...(room.words || [])];
+      if (wordList.length === 0) {
+        room.isStarted = false;
+        room.phase = "lobby";
+        await room.save();
 
-        let delta = 0;
+        roomChannel(io, roomId).emit("receiveMessage", { userId: "1", user: "", text: "Game has ended" });
+        finishGame(io, room);
+        return;
+      }
 
-        if (givenAnswer === correctWord) {
-          // Calculate based on time left
-          const elapsed = Date.now() - room.roundStartTime;
-          const remaining = Math.max(room.roundDuration * 1000 - elapsed, 0);
+      // pull the candidates out of the pool; unused ones go back in lockWord
+      const choices = [];
+      while (choices.length < WORD_CHOICE_COUNT && wordList.length > 0) {
+        const randomIndex = Math.floor(Math.random() * wordList.length);
+        choices.push(wordList.splice(randomIndex, 1)[0]);
+      }
 
-          const basePoints = 50;
-          const bonusPoints = 50;
+      room.words = wordList;
+      room.wordChoices = choices;
+      room.currentWord = "";
+      room.revealedHints = [];
+      room.phase = "choosing";
+      room.choosingEndsAt = Date.now() + WORD_CHOICE_TIMEOUT;
+      await room.save();
 
-          delta = basePoints + Math.floor((remaining / (room.roundDuration * 1000)) * bonusPoints);
+      const drawer = room.participants.find((p) => toId(p.userId) === toId(room.currentTurnUserId));
 
-          // ✅ Save correct answer in Chats collection
-          const chatDoc = await Chats.findOne({ roomCode: room.roomId });
-          if (chatDoc) {
-            socket.emit("gotAnswer", true);
-            chatDoc.correctAnswers.push({
-              userId,
-              timestamp: new Date(),
-            });
+      emitRoomData(io, room);
+      sendSystemMessage(io, roomId, `${drawer?.username} is choosing a word...`);
+      if (drawer?.socketId) {
+        io.to(drawer.socketId).emit("chooseWord", {
+          choices: choices.map((word) => ({ word, difficulty: getWordDifficulty(word) })),
+          timeout: WORD_CHOICE_TIMEOUT / 1000,
+        });
+      }
 
-          await chatDoc.save();
-          
-          if(chatDoc.correctAnswers.length >= room.participants.length - 1){
-            clearRoomTimer(roomId); // prevent old timer from firing
-            endCurrentRound(io, roomId, room); // Use roomId, not room.roomId
-          }
-        }
-          // ✅ Reward current drawer with 30% of delta
-          if (room.currentTurnUserId) {
-            const drawer = (room.participants || []).find(
-              (p) => toId(p.userId) === toId(room.currentTurnUserId)
-            );
-            if (drawer) {
-              const drawerBonus = Math.floor(delta * 0.2);
-              drawer.score = (drawer.score || 0) + drawerBonus;
-            }
-          }
+      // auto-pick if the drawer doesn't choose in time
+      const handle = setTimeout(async () => {
+        try {
+          const pick = choices[Math.floor(Math.random() * choices.length)];
+          await lockWord(io, roomId, pick);
+        } catch (err) {
+          console.error("auto word choice error:", err);
         }
+      }, WORD_CHOICE_TIMEOUT);
+      choosingTimers.set(keyOf(roomId), handle);
+    }
 
-        // Update score
-        player.score = (player.score || 0) + delta;
+    // Lock in the drawer's word, return unused candidates to the pool and start the round.
+    // Returns false if the room isn't choosing anymore (e.g. timeout already picked one).
+    async function lockWord(io, roomId, word) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room || room.phase !== "choosing" || !room.wordChoices.includes(word)) return false;
 
-        await room.save();
+      const unused = room.wordChoices.filter((w) => w !== word);
 
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("roomData", room);
-          }
-        }
+      // conditional update so a manual pick and the timeout can't both win
+      const updated = await Rooms.findOneAndUpdate(
+        { _id: roomId, phase: "choosing", wordChoices: word },
+        {
+          $set: { currentWord: word, wordChoices: [], revealedHints: [], phase: "drawing" },
+          $push: { words: { $each: unused } },
+        },
+        { new: true }
+      );
+      if (!updated) return false;
+
+      clearRoomTimer(roomId);
+
+      const drawer = updated.participants.find((p) => toId(p.userId) === toId(updated.currentTurnUserId));
 
+      emitRoomData(io, updated);
+      sendSystemMessage(io, roomId, `It's ${drawer?.username}'s turn to draw!`);
+
+      await startRound(io, roomId);
+      return true;
+    }
+
+    socket.on("submitAnswer", async ({ roomId, answer }) => {
+      try {
+        if (!inRoom(roomId) || String(answer ?? "").length > MAX_MESSAGE_LENGTH) return;
+
+        const objectId = new mongoose.Types.ObjectId(roomId);
+        const room = await Rooms.findOne({ _id: objectId });
+        if (!room || room.phase !== "drawing") return;
+
+        await handleGuess(room, answer);
       } catch (err) {
         console.error("submitAnswer error:", err);
       }
     });
 
+    // Scores a guess at the current word for this socket's user. Shared by
+    // submitAnswer and sendChat, so typing the word in chat counts the same.
+    async function handleGuess(room, answer) {
+      const uid = toId(userId);
+      const player = (room.participants || []).find((p) => toId(p.userId) === uid);
+      if (!player) return;
+
+      // the drawer can't guess their own word
+      if (uid === toId(room.currentTurnUserId)) return;
+
+      // team mode: only the drawer's teammates play this round
+      const drawerTeam = isTeamGame(room) ? teamOf(room, room.currentTurnUserId) : null;
+      if (drawerTeam !== null && player.team !== drawerTeam) {
+        socket.emit("errorMessage", "Only the drawer's team can guess this round");
+        return;
+      }
+
+      const result = matchAnswer(answer, room.currentWord);
+
+      // near miss: only the guesser is told
+      if (result === "close") {
+        socket.emit("receiveMessage", { userId: "1", user: "", message: `${String(answer).trim()} is close!` });
+        return;
+      }
+      if (result !== "correct") return;
+
+      const chatDoc = await Chats.findOne({ roomCode: room.roomId });
+      if (!chatDoc) return;
+
+      // already guessed this round
+      if (chatDoc.correctAnswers.some((a) => a.userId === uid)) return;
+
+      // Calculate based on time left
+      const elapsed = Date.now() - room.roundStartTime;
+      const remaining = Math.max(room.roundDuration * 1000 - elapsed, 0);
+
+      const basePoints = 50;
+      const bonusPoints = 50;
+
+      let delta = basePoints + Math.floor((remaining / (room.roundDuration * 1000)) * bonusPoints);
+
+      // every hint revealed so far lowers what the guess is worth
+      delta = Math.floor(delta * hintMultiplier(room.revealedHints?.length));
+
+      // ✅ Save correct answer in Chats collection; the word itself is never echoed
+      socket.emit("gotAnswer", true);
+      chatDoc.correctAnswers.push({
+        userId: uid,
+        timestamp: new Date(),
+      });
+      chatDoc.chats.push({ userId: "1", username: "", message: `${player.username} guessed the word` });
+      await chatDoc.save();
+
+      socket.emit("receiveMessage", { userId: "1", user: "", message: "You guessed the word!" });
+      socket.to(toId(room._id)).emit("receiveMessage", {
+        userId: "1",
+        user: "",
+        message: `${player.username} guessed the word`,
+      });
+
+      // ✅ Reward current drawer with 20% of delta
+      if (room.currentTurnUserId) {
+        const drawer = (room.participants || []).find(
+          (p) => toId(p.userId) === toId(room.currentTurnUserId)
+        );
+        if (drawer) {
+          const drawerBonus = Math.floor(delta * 0.2);
+          drawer.score = (drawer.score || 0) + drawerBonus;
+          if (drawerTeam !== null) addTeamScore(room, drawerTeam, drawerBonus);
+        }
+      }
+
+      // Update score
+      player.score = (player.score || 0) + delta;
+      if (drawerTeam !== null) addTeamScore(room, drawerTeam, delta);
+
+      await room.save();
+
+      emitRoomData(io, room);
+
+      triggerAchievements(io, "correctGuess", {
+        userId: uid,
+        room,
+        elapsedMs: elapsed,
+        guessOrder: chatDoc.correctAnswers.length,
+      });
+
+      // everyone who can guess this round has got it
+      const guessers = drawerTeam !== null ? membersOf(room, drawerTeam) : room.participants;
+      if (chatDoc.correctAnswers.length >= guessers.filter(isOnline).length - 1) {
+        clearRoomTimer(room._id); // prevent old timer from firing
+        endCurrentRound(io, room._id); // the _id, not the room code
+      }
+    }
+
     socket.on("startGame", async ({ roomId }) => {
       try {
-        if (!roomId) return;
+        if (!inRoom(roomId)) return;
         
         const objectId = new mongoose.Types.ObjectId(roomId);
         let room = await Rooms.findOne({ _id: objectId });
         if (!room) return;
 
-        if (room.participants.length < 2) {
+        if (toId(room.hostId) !== userId) {
+          socket.emit("errorMessage", "Only the host can start the game");
+          return;
+        }
+
+        // restarting mid-game would orphan the running game's rounds / chains
+        if (room.isStarted) {
+          socket.emit("errorMessage", "A game is already running");
+          return;
+        }
+
+        if (room.participants.filter(isOnline).length < 2) {
           socket.emit("errorMessage", "At least need 2 Players to start");
           return;
         }
 
-        // ✅ FIXED: Clear any existing timers before starting
-        if (roundTimers[roomId]) {
-          clearInterval(roundTimers[roomId]);
-          delete roundTimers[roomId];
+        if (room.gameMode === "telephone" && room.participants.filter(isOnline).length < TELEPHONE_MIN_PLAYERS) {
+          return socket.emit("errorMessage", `Telephone needs at least ${TELEPHONE_MIN_PLAYERS} players`);
         }
 
+        // Team mode: balance (or top up the host's picks), check sizes and
+        // forget the previous game's turn rotation
+        if (isTeamGame(room)) {
+          syncTeams(room, { reshuffle: room.teamAssignment === "auto" });
+          const teamError = checkTeamsReady(room, isOnline);
+          if (teamError) return socket.emit("errorMessage", teamError);
+
+          room.teams.forEach((team) => { team.score = 0; });
+          room.participants.forEach((p) => {
+            p.drewThisRound = false;
+            p.lastDrewAt = null;
+          });
+        }
+
+        // ✅ FIXED: Clear any existing timers before starting
+        clearRoomTimer(roomId);
+
         room.isStarted = true;
         room.isActive = true;
+        room.currentGameId = new mongoose.Types.ObjectId(); // groups this game's archived rounds
         room.currentRound = 1;
-        room.currentTurnIndex = 0;
+
+        // every game starts from zero, the room may have played before
+        room.participants.forEach((participant) => {
+          participant.score = 0;
+        });
+
+        // telephone has no drawer or word list, the chains drive the game
+        if (room.gameMode === "telephone") {
+          room.currentTurnUserId = null;
+          room.currentWord = "";
+          await startTelephone(io, room);
+          return;
+        }
+
+        if (isTeamGame(room)) {
+          room.currentTurnUserId = null; // first team goes first
+          room.currentTurnIndex = room.participants.indexOf(nextTeamTurn(room, isOnline).drawer);
+        } else {
+          room.currentTurnIndex = Math.max(room.participants.findIndex(isOnline), 0);
+        }
         room.maxRounds = Number(room.maxRounds) > 0 ? Number(room.maxRounds) : 3;
         room.roundDuration = Number(room.roundDuration) > 0 ? Number(room.roundDuration) : 30;
 
         // Initialize leaderboard if it doesn't exist
         if (!room.leaderboard) room.leaderboard = [];
 
-        // ✅ FIXED: Initialize scores for all participants
-        room.participants.forEach(participant => {
-          if (participant.score === undefined) {
-            participant.score = 0;
-          }
-        });
-
         // Assign current drawer
         const currentDrawer = room.participants[room.currentTurnIndex];
         room.currentTurnUserId = currentDrawer?.userId;
 
-        const wordCount = ((room.participants.length * 3) || 20) + 2;
+        // every turn uses up one word (lockWord puts the other candidates back), plus the
+        // spare candidates of the last turn. Team rounds last until the biggest team has
+        // had everyone draw, the other teams fill in with extra turns
+        const turnsPerRound = isTeamGame(room)
+          ? room.teams.length * Math.max(...room.teams.map((t) => membersOf(room, t.teamId).length))
+          : room.participants.length;
+        const wordCount = room.maxRounds * Math.max(turnsPerRound, 1) + WORD_CHOICE_COUNT - 1;
+
+        room.words = await getRoomWords(room, wordCount);
+        room.currentWord = "";
+        room.revealedHints = [];
+
+        // whichever way the last game ended (ended by the host, too few players, ...)
+        // its strokes and guesses must not leak into round 1. The chat itself stays
+        dropPendingStrokes(room.roomId);
+        await Chats.updateOne(
+          { roomCode: room.roomId },
+          { $set: { canvasChange: [], correctAnswers: [] } }
+        );
 
-        const generatedWords = await generateWords(room.difficultyLevel, room.wordCategory, wordCount);
-        console.log(generatedWords);
+        await room.save();
 
-        // Update the words of a room by roomId
-        const updatedRoom = await Rooms.findOneAndUpdate(
-          { _id: objectId },                // Filter: find the room by roomId
-          { $set: { words: generatedWords } }, // Only update words
-          { new: true }              // Return the updated document
-        );
+        // First drawer picks a word, the round starts once it's locked in
+        await startChoosing(io, roomId);
 
-        // ✅ FIXED: Set initial word
-        const room_code = await Rooms.findOne({ _id: objectId });
-        let wordList = room_code?.words || [];
-        if (wordList.length > 0) {
-          const randomIndex = Math.floor(Math.random() * wordList.length);
-          room.currentWord = wordList[randomIndex];
-          // Remove used word
-          wordList.splice(randomIndex, 1);
-          room_code.words = wordList;
-          await room_code.save();
-        } else {
-          for (const participant of room.participants) {
-            if (participant.socketId) {
-              io.to(participant.socketId).emit("receiveMessage", { userId: "1", user: "", text: "Game has ended" });
-              io.to(participant.socketId).emit("showResult", room);
-            }
-          }
+      } catch (err) {
+        console.error("startGame error:", err);
+        socket.emit("errorMessage", "Failed to start game");
+      }
+    });
+
+    // ===== Telephone mode (utils/telephone.js) =====
+    async function startTelephone(io, room) {
+      const players = room.participants
+        .filter(isOnline)
+        .map((p) => ({ userId: p.userId, username: p.username }));
+
+      await TelephoneGames.create({
+        gameId: room.currentGameId,
+        roomId: room._id,
+        players,
+        chains: players.map((p) => ({ ownerId: p.userId, ownerUsername: p.username, entries: [] })),
+      });
+
+      room.phase = "telephone";
+      await room.save();
+      emitRoomData(io, room);
+
+      await startTelephoneStep(io, room._id);
+    }
+
+    // What one player has to do this step, plus the previous link of their chain
+    function sendTelephoneStep(io, game, seat) {
+      const n = game.players.length;
+      const chainIndex = chainFor(seat, game.step, n);
+      const chain = game.chains[chainIndex];
+      const previous = chain.entries[game.step - 1];
+
+      userChannel(io, game.players[seat].userId).emit("telephoneStep", {
+        roomId: game.roomId,
+        step: game.step,
+        totalSteps: n,
+        type: stepType(game.step),
+        endsAt: game.stepEndsAt,
+        chainIndex,
+        previous: previous ? { type: previous.type, text: previous.text, strokes: previous.strokes } : null,
+        submitted: chain.entries.length > game.step,
+      });
+    }
+
+    function emitTelephoneProgress(io, game) {
+      roomChannel(io, game.roomId).emit("telephoneProgress", {
+        step: game.step,
+        totalSteps: game.players.length,
+        type: stepType(game.step),
+        endsAt: game.stepEndsAt,
+        submitted: game.chains.filter((c) => c.entries.length > game.step).length,
+        total: game.players.length,
+      });
+    }
+
+    async function startTelephoneStep(io, roomId) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room || !room.isStarted) return;
+
+      const game = await TelephoneGames.findOne({ gameId: room.currentGameId, status: "playing" });
+      if (!game) return;
+
+      const duration = stepDuration(game.step, room);
+      game.stepEndsAt = Date.now() + duration;
+      await game.save();
+
+      clearRoomTimer(roomId);
+      const step = game.step;
+      telephoneTimers.set(keyOf(roomId), setTimeout(() => {
+        endTelephoneStep(io, roomId, step).catch((err) => console.error("endTelephoneStep error:", err));
+      }, duration));
+
+      game.players.forEach((_, seat) => sendTelephoneStep(io, game, seat));
+      emitTelephoneProgress(io, game);
+    }
+
+    // Close `step` (time's up or everyone submitted) and move on.
+    // Unfinished drawings are kept as they are, missing text is marked skipped.
+    async function endTelephoneStep(io, roomId, step) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room || !room.isStarted) return;
+
+      // claiming the step atomically also stops late submissions for it
+      const claimed = await TelephoneGames.findOneAndUpdate(
+        { gameId: room.currentGameId, status: "playing", step },
+        { $inc: { step: 1 } },
+        { new: true }
+      );
+      if (!claimed) return;
+
+      clearRoomTimer(roomId);
+
+      const n = claimed.players.length;
+      const type = stepType(step);
+      claimed.chains.forEach((chain, chainIndex) => {
+        if (chain.entries.length > step) return;
+
+        const author = claimed.players[seatFor(chainIndex, step, n)];
+        const strokes = type === "draw" ? takeDraft(draftKey(claimed.gameId, author.userId)) : [];
+        chain.entries.push({
+          type,
+          authorId: author.userId,
+          authorUsername: author.username,
+          strokes,
+          skipped: strokes.length === 0,
+        });
+      });
+
+      if (claimed.step >= n) {
+        claimed.status = "reveal";
+        await claimed.save();
+        await startTelephoneReveal(io, room, claimed);
+        return;
+      }
+
+      await claimed.save();
+      await startTelephoneStep(io, roomId);
+    }
+
+    async function startTelephoneReveal(io, room, game) {
+      dropDrafts(game.gameId);
+
+      room.phase = "reveal";
+      await room.save();
+      emitRoomData(io, room);
+
+      sendSystemMessage(io, room._id, `All chains are done! ${room.hostUsername} reveals them`);
+      roomChannel(io, room._id).emit("telephoneRevealStart", {
+        roomId: room._id,
+        gameId: game.gameId,
+        chains: game.chains.map((c) => ({ ownerId: c.ownerId, ownerUsername: c.ownerUsername })),
+      });
+    }
+
+    async function finishTelephone(io, room, game) {
+      game.status = "done";
+      await game.save();
+
+      room.isStarted = false;
+      room.phase = "lobby";
+      await room.save();
+
+      roomChannel(io, room._id).emit("telephoneRevealEnd", { roomId: room._id, gameId: game.gameId, chains: game.chains });
+      emitRoomData(io, room);
+    }
+
+    // ===== Participant removal (leave / kick / ban) =====
+    // Removes a participant, migrates the host and keeps the turn order sane.
+    // If the drawer is removed mid-game the turn advances straight away.
+    // Spectators hold no seat or turn, so removing one is just bookkeeping
+    async function removeSpectator(io, room, target, { ban = false, message } = {}) {
+      const index = room.spectators.findIndex((s) => toId(s.userId) === target);
+      if (index === -1) return null;
+
+      const [removed] = room.spectators.splice(index, 1);
+      if (ban && !room.bannedUserIds.some((id) => toId(id) === target)) {
+        room.bannedUserIds.push(removed.userId);
+      }
+      await room.save();
+
+      if (removed.socketId) io.in(removed.socketId).socketsLeave(toId(room._id));
+      if (message) sendSystemMessage(io, room._id, message(removed));
+      emitRoomData(io, room);
+
+      return removed;
+    }
+
+    async function removeParticipant(io, roomId, targetId, { ban = false, message } = {}) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room) return null;
+
+      const target = toId(targetId);
+      const index = room.participants.findIndex((p) => toId(p.userId) === target);
+      if (index === -1) return removeSpectator(io, room, target, { ban, message });
+
+      const [removed] = room.participants.splice(index, 1);
+      const wasDrawer = room.isStarted && target === toId(room.currentTurnUserId);
+
+      if (ban && !room.bannedUserIds.some((id) => toId(id) === target)) {
+        room.bannedUserIds.push(removed.userId);
+      }
+      room.voteKicks = (room.voteKicks || []).filter((v) => toId(v.targetId) !== target);
+
+      // keep currentTurnIndex pointing at the same drawer (or just before the next one,
+      // since nextTurn increments it)
+      if (index < room.currentTurnIndex || wasDrawer) room.currentTurnIndex -= 1;
+
+      const newHost = target === toId(room.hostId) ? migrateHost(room) : null;
+
+      // not enough players left to keep going
+      const tooFew = room.isStarted && room.participants.length < 2;
+      if (tooFew) {
+        clearRoomTimer(roomId);
+        room.isStarted = false;
+        room.phase = "lobby";
+      }
+
+      // unused word candidates go back to the pool
+      const wasChoosing = wasDrawer && room.phase === "choosing";
+      if (wasChoosing) {
+        room.words.push(...room.wordChoices);
+        room.wordChoices = [];
+      }
+
+      await room.save();
+
+      if (removed.socketId) io.in(removed.socketId).socketsLeave(toId(roomId));
+
+      if (message) sendSystemMessage(io, roomId, message(removed));
+      if (newHost) emitHostChanged(io, room);
+      emitRoomData(io, room);
+
+      if (tooFew) {
+        sendSystemMessage(io, roomId, "Not enough players, game over!");
+        finishGame(io, room);
+      } else if (wasChoosing) {
+        await nextTurn(io, roomId);
+      } else if (wasDrawer) {
+        await endCurrentRound(io, roomId);
+      }
+
+      return removed;
+    }
+
+    // === kickPlayer (host only, optional ban) ===
+    socket.on("kickPlayer", async ({ roomId, targetUserId, ban = false }) => {
+      try {
+        if (!inRoom(roomId) || !targetUserId) return;
+
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room) return;
+
+        if (toId(room.hostId) !== userId) {
+          return socket.emit("errorMessage", "Only the host can kick players");
+        }
+        if (toId(targetUserId) === userId) {
+          return socket.emit("errorMessage", "You can't kick yourself");
+        }
+
+        const removed = await removeParticipant(io, roomId, targetUserId, {
+          ban: !!ban,
+          message: (p) => `${p.username} was ${ban ? "banned" : "kicked"} by the host`,
+        });
+        if (!removed) return socket.emit("errorMessage", "Player not found in this room");
+
+        if (removed.socketId) io.to(removed.socketId).emit("kicked", { roomId, banned: !!ban });
+      } catch (err) {
+        console.error("kickPlayer error:", err);
+        socket.emit("errorMessage", "Failed to kick player");
+      }
+    });
+
+    // === Team picks (host only, between games) ===
+    // Loads the room if the caller may edit teams, otherwise reports why and returns null
+    async function loadTeamRoom(roomId) {
+      const room = await Rooms.findOne({ _id: roomId });
+      if (!room) return null;
+
+      if (toId(room.hostId) !== userId) {
+        socket.emit("errorMessage", "Only the host can change teams");
+        return null;
+      }
+      if (!isTeamGame(room)) {
+        socket.emit("errorMessage", "This room isn't in team mode");
+        return null;
+      }
+      if (room.isStarted) {
+        socket.emit("errorMessage", "Teams can't be changed during a game");
+        return null;
+      }
+      return room;
+    }
+
+    socket.on("assignTeam", async ({ roomId, targetUserId, team }) => {
+      try {
+        if (!inRoom(roomId) || !targetUserId) return;
+
+        const room = await loadTeamRoom(roomId);
+        if (!room) return;
+
+        const player = room.participants.find((p) => toId(p.userId) === toId(targetUserId));
+        if (!player) return socket.emit("errorMessage", "Player not found in this room");
+        if (!room.teams.some((t) => t.teamId === Number(team))) {
+          return socket.emit("errorMessage", "No such team");
         }
 
+        player.team = Number(team);
         await room.save();
+        emitRoomData(io, room);
+      } catch (err) {
+        console.error("assignTeam error:", err);
+        socket.emit("errorMessage", "Failed to assign team");
+      }
+    });
 
-        // ✅ FIXED: Broadcast to ALL users in the room
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("roomData", room);
-          }
+    socket.on("shuffleTeams", async ({ roomId }) => {
+      try {
+        if (!inRoom(roomId)) return;
+
+        const room = await loadTeamRoom(roomId);
+        if (!room) return;
+
+        syncTeams(room, { reshuffle: true });
+        await room.save();
+        emitRoomData(io, room);
+      } catch (err) {
+        console.error("shuffleTeams error:", err);
+        socket.emit("errorMessage", "Failed to shuffle teams");
+      }
+    });
+
+    // === voteKick (any participant, passes at a strict majority, kicked player is banned) ===
+    socket.on("voteKick", async ({ roomId, targetUserId }) => {
+      try {
+        if (!inRoom(roomId) || !targetUserId) return;
+
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room) return;
+
+        const target = toId(targetUserId);
+        const voter = room.participants.find((p) => toId(p.userId) === userId);
+        const targetPlayer = room.participants.find((p) => toId(p.userId) === target);
+        if (!voter || !targetPlayer) return socket.emit("errorMessage", "Player not found in this room");
+        if (target === userId) return socket.emit("errorMessage", "You can't vote to kick yourself");
+
+        // drop stale votes
+        const now = Date.now();
+        room.voteKicks = (room.voteKicks || []).filter((v) => now - v.startedAt.getTime() < VOTE_KICK_WINDOW);
+
+        let vote = room.voteKicks.find((v) => toId(v.targetId) === target);
+        if (!vote) {
+          room.voteKicks.push({ targetId: targetPlayer.userId, voterIds: [], startedAt: new Date(now) });
+          vote = room.voteKicks[room.voteKicks.length - 1];
         }
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", {
-              userId: "1",
-              user: "",
-              message: `It's ${currentDrawer?.username}'s turn to draw!`,
-            });
-          }
+        if (vote.voterIds.some((id) => toId(id) === userId)) {
+          return socket.emit("errorMessage", "You already voted");
         }
+        vote.voterIds.push(voter.userId);
 
-        // Start the first round
-        startRound(io, roomId);
+        const votes = vote.voterIds.length;
+        const needed = Math.floor((room.participants.length - 1) / 2) + 1;
 
+        await room.save();
+
+        roomChannel(io, roomId).emit("voteKickUpdate", { targetUserId: target, votes, needed });
+        sendSystemMessage(io, roomId, `${username} voted to kick ${targetPlayer.username} (${votes}/${needed})`);
+
+        if (votes >= needed) {
+          const removed = await removeParticipant(io, roomId, target, {
+            ban: true,
+            message: (p) => `${p.username} was kicked by vote`,
+          });
+          if (removed?.socketId) io.to(removed.socketId).emit("kicked", { roomId, banned: true });
+        }
       } catch (err) {
-        console.error("startGame error:", err);
-        socket.emit("errorMessage", "Failed to start game");
+        console.error("voteKick error:", err);
+        socket.emit("errorMessage", "Failed to vote");
+      }
+    });
+
+    // === selectWord (drawer picks one of the offered candidates) ===
+    socket.on("selectWord", async ({ roomId, word }) => {
+      try {
+        if (!inRoom(roomId) || !word) return;
+
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room) return;
+
+        if (toId(userId) !== toId(room.currentTurnUserId)) {
+          return socket.emit("errorMessage", "Only the drawer can choose the word");
+        }
+
+        const locked = await lockWord(io, roomId, word);
+        if (!locked) socket.emit("errorMessage", "That word can't be chosen right now");
+      } catch (err) {
+        console.error("selectWord error:", err);
+        socket.emit("errorMessage", "Failed to choose word");
       }
     });
 
     // === joinRoom ===
-    socket.on("joinRoom", async ({ roomId, userId, username }) => {
+    // { roomId, password?, asSpectator? } or { inviteToken } (roomId comes from the invite)
+    socket.on("joinRoom", async ({ roomId, password, inviteToken, asSpectator } = {}) => {
     try {
-        if (!roomId || !userId || !username) {
-        return socket.emit("errorMessage", "Missing roomId/userId/username");
+        if (!roomId && inviteToken) {
+          const invite = decodeInviteToken(inviteToken);
+          if (invite.error) return socket.emit("errorMessage", invite.error);
+          roomId = invite.roomId;
         }
 
-        socket.join(roomId);
+        if (!roomId) {
+        return socket.emit("errorMessage", "Missing roomId");
+        }
 
         const objectId = new mongoose.Types.ObjectId(roomId);
 
@@ -391,38 +1140,83 @@ const io = new Server(server, {
         let room = await Rooms.findOne({ _id: objectId });
         if (!room) return socket.emit("errorMessage", "Room not found");
 
+        if (room.bannedUserIds.some((id) => toId(id) === userId)) {
+          return socket.emit("errorMessage", "You are banned from this room");
+        }
+
+        const accessError = await checkRoomAccess(room, socket.data.user, { password, inviteToken });
+        if (accessError) return socket.emit("errorMessage", accessError);
+
         // ✅ Fix: type-safe check
         const isExist = room.participants.some(
             p => String(p.userId) === String(userId)
         );
+        const isSpectator = room.spectators.some((s) => toId(s.userId) === userId);
 
-        if (!isExist) {
-        // New participant
-        await Rooms.updateOne(
-            { _id: objectId },
-            { $push: {
-                participants: { userId, username, score: 0, socketId: socket.id } 
-              }
+        if (isExist) {
+            // User already exists → just update socketId (reconnect)
+            await Rooms.updateOne(
+                { _id: objectId, "participants.userId": userId },
+                { $set: {
+                    "participants.$.socketId": socket.id,
+                    "participants.$.isOnline": true,
+                    "participants.$.disconnectedAt": null,
+                  }
+                }
+            );
+
+            const graceKey = `${toId(room._id)}:${userId}`;
+            if (disconnectTimers.has(graceKey)) {
+              clearTimeout(disconnectTimers.get(graceKey));
+              disconnectTimers.delete(graceKey);
+
+              socket.to(toId(room._id)).emit("receiveMessage", {
+                userId: "1",
+                user: "",
+                message: `${username} reconnected`,
+              });
+            }
+        } else if (isSpectator) {
+            await Rooms.updateOne(
+                { _id: objectId, "spectators.userId": userId },
+                { $set: { "spectators.$.socketId": socket.id } }
+            );
+        } else {
+            // New participant: take a seat while one is free (checked atomically),
+            // otherwise watch if the game is running
+            let role = pickJoinRole(room, socket.data.user, { asSpectator: !!asSpectator });
+            if (role === "player") {
+              const seated = await Rooms.updateOne(
+                  { _id: objectId, "participants.userId": { $ne: userId }, $expr: hasFreeSeatExpr },
+                  { $push: {
+                      participants: {
+                        userId, username, score: 0, socketId: socket.id,
+                        team: isTeamGame(room) ? smallestTeam(room) : null,
+                      }
+                    }
+                  }
+              );
+              if (seated.modifiedCount === 0) role = room.isStarted ? "spectator" : null; // lost the last seat
             }
-        );
 
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", {
+            if (!role) return socket.emit("errorMessage", "Room is full");
+
+            if (role === "spectator") {
+              await Rooms.updateOne(
+                  { _id: objectId, "spectators.userId": { $ne: userId } },
+                  { $push: { spectators: { userId, username, socketId: socket.id } } }
+              );
+            }
+
+            socket.to(toId(room._id)).emit("receiveMessage", {
               userId: "1",
               user: "",
-              message: `${username} joined the room`,
+              message: role === "spectator" ? `${username} is spectating` : `${username} joined the room`,
             });
-          }
         }
 
-        } else {
-            // User already exists → just update socketId
-            await Rooms.updateOne(
-                { _id: objectId, "participants.userId": userId },
-                { $set: { "participants.$.socketId": socket.id } }
-            );
-        }
+        // join the Socket.IO room only once the checks pass
+        socket.join(toId(room._id));
 
         // Get fresh room data
         room = await Rooms.findOne({ _id: objectId });
@@ -431,74 +1225,117 @@ const io = new Server(server, {
         let chatDoc = await Chats.findOne({ roomCode: room_code.roomId });
 
         // ✅ FIXED: Send updated room + chat history to the new user
-        socket.emit("roomData", room_code);
+        socket.emit("roomData", serializeRoom(room_code, userId));
         if (chatDoc) {
           socket.emit("chatHistory", chatDoc.chats);
-          socket.emit("canvasHistory", chatDoc.canvasChange);
+          socket.emit("canvasHistory", getCanvasHistory(chatDoc, room_code.roomId));
         }
 
-        // 🚀 Brute force: send roomData to EACH participant individually
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("roomData", room);
-          }
+        // back in the middle of a telephone game: where were we
+        if (room_code.phase === "telephone") {
+          const game = await TelephoneGames.findOne({ gameId: room_code.currentGameId, status: "playing" });
+          const seat = game ? game.players.findIndex((p) => toId(p.userId) === userId) : -1;
+          if (seat !== -1) sendTelephoneStep(io, game, seat);
         }
 
+        // send everyone in the room the updated participant list
+        emitRoomData(io, room);
+
         } catch (err) {
             console.error("joinRoom error:", err);
             socket.emit("errorMessage", "Failed to join room");
         }
     });
 
-    // Drawing event
-    const Chats = require("./models/chatModel"); // adjust path if needed
-
-    // Drawing event
+    // Drawing event: batched stroke points (see utils/canvasStore.js for the format).
+    // Only the current drawer may draw, and only while the round is running.
     socket.on("drawing", async (data) => {
       try {
-        // 1. Broadcast to other users in the same room
-        socket.broadcast.emit("drawing", data);
+        if (!inRoom(data?.roomId)) return;
 
-        // 2. Find the room and chat doc
-        const room = await Rooms.findOne({_id : data.roomId}); // frontend must send roomId
+        // 1. Find the room (frontend must send roomId)
+        const room = await Rooms.findOne({ _id: data.roomId });
         if (!room) return console.error("Room not found:", data.roomId);
 
-        // 3. Save the canvas change into Chats
-        await Chats.updateOne(
-          { roomCode: room.roomId },
-          {
-            $push: {
-              canvasChange: {
-                x: data.x,
-                y: data.y,
-                color: data.color,
-                lineWidth: data.lineWidth,
-                mode: data.mode,
-                type: data.type,
-                timestamp: new Date()
-              }
-            }
-          },
-          { upsert: true } // create Chats doc if missing
-        );
+        if (room.phase === "telephone") return telephoneDrawing(room, data);
+
+        if (room.phase !== "drawing" || toId(room.currentTurnUserId) !== userId) {
+          return socket.emit("errorMessage", "Only the drawer can draw right now");
+        }
+
+        // 2. Validate + clamp the payload
+        const { error, value } = validateDrawing(data);
+        if (error) return socket.emit("errorMessage", error);
+
+        if (value.points && !allowPoints(value.points.length / 2)) {
+          return socket.emit("errorMessage", "Drawing too fast, slow down");
+        }
+
+        const batch = { roomId: data.roomId, ...value };
+
+        // 3. Broadcast the batch to other users in the same room only
+        socket.to(String(data.roomId)).emit("drawing", batch);
+
+        // 4. Coalesce into the stroke; persisted once the stroke ends
+        if (value.type === "clear") addClear(room.roomId);
+        else if (value.type === "fill") addFill(room.roomId, value);
+        else addStrokePoints(room.roomId, value);
       } catch (err) {
         console.error("Error saving drawing:", err);
       }
     });
 
+    // Undo / redo whole strokes (current drawer only); everyone in the room gets
+    // the strokeId to hide or show again
+    const handleUndoRedo = (event, apply) => async ({ roomId }) => {
+      try {
+        if (!inRoom(roomId)) return;
+
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room) return;
+
+        // telephone drawings are private drafts, only the artist hears about it
+        if (room.phase === "telephone") {
+          const game = await currentDrawStep(room);
+          if (!game) return;
+          const entry = (event === "undo" ? undoDraft : redoDraft)(draftKey(game.gameId, userId));
+          if (!entry) return socket.emit("errorMessage", `Nothing to ${event}`);
+          return socket.emit(event, { roomId, strokeId: entry.strokeId });
+        }
+
+        if (room.phase !== "drawing" || toId(room.currentTurnUserId) !== userId) {
+          return socket.emit("errorMessage", `Only the drawer can ${event}`);
+        }
+
+        const entry = await apply(room.roomId);
+        if (!entry) return socket.emit("errorMessage", `Nothing to ${event}`);
+
+        roomChannel(io, roomId).emit(event, { roomId, strokeId: entry.strokeId });
+      } catch (err) {
+        console.error(`${event} error:`, err);
+        socket.emit("errorMessage", `Failed to ${event}`);
+      }
+    };
+
+    socket.on("undo", handleUndoRedo("undo", undoStroke));
+    socket.on("redo", handleUndoRedo("redo", redoStroke));
+
     // Optional: Load existing canvas data when user joins room
     socket.on("loadCanvas", async ({ roomId }) => {
     try {
+        if (!inRoom(roomId)) return;
+
         const objectId = new mongoose.Types.ObjectId(roomId);
         const room_code = await Rooms.findOne({ _id: objectId });
         
         if (!room_code) return;
 
         const chatDoc = await Chats.findOne({ roomCode: room_code.roomId });
-        
-        if (chatDoc && chatDoc.canvasChange.length > 0) {
-        // Send existing canvas data to the requesting client
-        socket.emit("canvasData", { canvasChange: chatDoc.canvasChange });
+        const canvasChange = getCanvasHistory(chatDoc, room_code.roomId);
+
+        if (canvasChange.length > 0) {
+        // Send existing canvas data (whole strokes) to the requesting client
+        socket.emit("canvasData", { canvasChange });
         }
         
     } catch (err) {
@@ -507,34 +1344,44 @@ const io = new Server(server, {
     });
 
     // === sendChat ===
-    socket.on("sendChat", async ({ roomId, userId, user, message }) => {
+    socket.on("sendChat", async ({ roomId, message }) => {
     try {
-        if (!roomId || !message) return;
+        if (!inRoom(roomId) || !message) return;
+
+        if (String(message).length > MAX_MESSAGE_LENGTH) {
+          return socket.emit("errorMessage", `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`);
+        }
 
         // Save to DB
         const objectId = new mongoose.Types.ObjectId(roomId);
         const room_code = await Rooms.findOne({ _id: objectId });
 
+        // spectators only read the chat
+        if (room_code.spectators.some((s) => toId(s.userId) === userId)) {
+          return socket.emit("errorMessage", "Spectators can't chat");
+        }
+
+        // never echo the answer to the room, score it like submitAnswer instead
+        if (room_code.phase === "drawing" && matchAnswer(message, room_code.currentWord) === "correct") {
+          return handleGuess(room_code, message);
+        }
+
         await Chats.findOneAndUpdate(
         { roomCode: room_code.roomId },
         {
             $push: {
-            chats: { userId, username: user, message },
+            chats: { userId, username, message },
             },
         },
         { new: true, upsert: true }
         );
 
         // Emit new message to room
-        for (const participant of room_code.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", {
-              userId,
-              user,
-              message,
-            });
-          }
-        }
+        roomChannel(io, room_code._id).emit("receiveMessage", {
+          userId,
+          user: username,
+          message,
+        });
 
     } catch (err) {
         console.error("sendChat error:", err);
@@ -542,30 +1389,189 @@ const io = new Server(server, {
     }
     });
 
-    // Leave Room
-    socket.on("leaveRoom", async ({ roomId, userId, username }) => {
+    // ===== Telephone mode =====
+    // The running game if this socket's user is drawing in it right now, otherwise
+    // reports why not and returns null
+    async function currentDrawStep(room) {
+      const game = await TelephoneGames.findOne({ gameId: room.currentGameId, status: "playing" });
+      const seat = game ? game.players.findIndex((p) => toId(p.userId) === userId) : -1;
+
+      if (seat === -1) {
+        socket.emit("errorMessage", "You're not playing this game");
+        return null;
+      }
+      if (stepType(game.step) !== "draw") {
+        socket.emit("errorMessage", "It's not time to draw");
+        return null;
+      }
+      if (game.chains[chainFor(seat, game.step, game.players.length)].entries.length > game.step) {
+        socket.emit("errorMessage", "You already handed in your drawing");
+        return null;
+      }
+      return game;
+    }
+
+    // Same payloads as the shared canvas, collected into the player's private draft
+    async function telephoneDrawing(room, data) {
+      const game = await currentDrawStep(room);
+      if (!game) return;
+
+      const { error, value } = validateDrawing(data);
+      if (error) return socket.emit("errorMessage", error);
+
+      if (value.points && !allowPoints(value.points.length / 2)) {
+        return socket.emit("errorMessage", "Drawing too fast, slow down");
+      }
+
+      if (!addToDraft(draftKey(game.gameId, userId), value)) {
+        socket.emit("errorMessage", "This drawing is too big");
+      }
+    }
+
+    // Hand in this step's work: { roomId, text } for prompts / descriptions,
+    // { roomId } for a drawing (the draft built from `drawing` events)
+    socket.on("telephoneSubmit", async ({ roomId, text }) => {
       try {
-        if (!roomId || !userId) return;
-        socket.leave(roomId);
+        if (!inRoom(roomId)) return;
 
-        let room = await Rooms.findOne({ _id : roomId });
-        if (!room) return;
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room || room.phase !== "telephone") return;
+
+        const game = await TelephoneGames.findOne({ gameId: room.currentGameId, status: "playing" });
+        const seat = game ? game.players.findIndex((p) => toId(p.userId) === userId) : -1;
+        if (seat === -1) return socket.emit("errorMessage", "You're not playing this game");
+
+        const { step } = game;
+        const type = stepType(step);
+        const chainIndex = chainFor(seat, step, game.players.length);
+        const entry = { type, authorId: userId, authorUsername: username, submittedAt: new Date() };
+
+        const key = draftKey(game.gameId, userId);
+        if (type === "draw") {
+          // kept until the push lands: if the step closes first, endTelephoneStep takes it
+          entry.strokes = peekDraft(key);
+          if (entry.strokes.length === 0) return socket.emit("errorMessage", "Draw something first");
+        } else {
+          const { error, value } = validateText(text);
+          if (error) return socket.emit("errorMessage", error);
+          entry.text = value;
+        }
 
-        const uid = toId(userId);
-        room.participants = (room.participants || []).filter((p) => toId(p.userId) !== uid);
+        // only lands while the step is still open and this link is still empty
+        const result = await TelephoneGames.updateOne(
+          { _id: game._id, status: "playing", step, [`chains.${chainIndex}.entries.${step}`]: { $exists: false } },
+          { $push: { [`chains.${chainIndex}.entries`]: entry } }
+        );
+        if (result.modifiedCount === 0) return socket.emit("errorMessage", "Too late for this step");
+        if (type === "draw") discardDraft(key);
 
-        await room.save();
+        const fresh = await TelephoneGames.findById(game._id);
+        emitTelephoneProgress(io, fresh);
 
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", {
-              userId: "1",
-              user: "",
-              message: `${username} left the room`,
-            });
+        if (fresh.chains.every((c) => c.entries.length > step)) {
+          await endTelephoneStep(io, roomId, step);
+        }
+      } catch (err) {
+        console.error("telephoneSubmit error:", err);
+        socket.emit("errorMessage", "Failed to submit");
+      }
+    });
+
+    // Host walks everyone through the chains one link at a time
+    socket.on("revealNext", async ({ roomId }) => {
+      try {
+        if (!inRoom(roomId)) return;
+
+        const room = await Rooms.findOne({ _id: roomId });
+        if (!room || room.phase !== "reveal") return;
+
+        if (toId(room.hostId) !== userId) {
+          return socket.emit("errorMessage", "Only the host can reveal the chains");
+        }
+
+        const game = await TelephoneGames.findOne({ gameId: room.currentGameId, status: "reveal" });
+        if (!game) return;
+
+        game.revealEntry += 1;
+        if (game.revealEntry >= game.chains[game.revealChain].entries.length) {
+          game.revealChain += 1;
+          game.revealEntry = 0;
+        }
+
+        if (game.revealChain >= game.chains.length) {
+          await finishTelephone(io, room, game);
+          return;
+        }
+
+        await game.save();
+
+        const chain = game.chains[game.revealChain];
+        roomChannel(io, roomId).emit("telephoneReveal", {
+          chainIndex: game.revealChain,
+          entryIndex: game.revealEntry,
+          ownerUsername: chain.ownerUsername,
+          entry: chain.entries[game.revealEntry],
+          lastInChain: game.revealEntry === chain.entries.length - 1,
+        });
+      } catch (err) {
+        console.error("revealNext error:", err);
+        socket.emit("errorMessage", "Failed to reveal");
+      }
+    });
+
+    // Spectator -> player, only between games and while a seat is free
+    socket.on("takeSeat", async ({ roomId }) => {
+      try {
+        if (!inRoom(roomId)) return;
+
+        const room = await Rooms.findOneAndUpdate(
+          {
+            _id: roomId,
+            isStarted: false,
+            "spectators.userId": userId,
+            "participants.userId": { $ne: userId },
+            $expr: hasFreeSeatExpr,
+          },
+          {
+            $pull: { spectators: { userId } },
+            $push: { participants: { userId, username, score: 0, socketId: socket.id } },
+          },
+          { new: true }
+        );
+
+        if (!room) {
+          const current = await Rooms.findOne({ _id: roomId });
+          if (!current?.spectators.some((s) => toId(s.userId) === userId)) {
+            return socket.emit("errorMessage", "You already have a seat");
           }
+          return socket.emit("errorMessage", current.isStarted
+            ? "Seats can only be taken between games"
+            : "Room is full");
         }
 
+        if (isTeamGame(room)) {
+          syncTeams(room); // onto the smallest team
+          await room.save();
+        }
+
+        sendSystemMessage(io, roomId, `${username} took a seat`);
+        emitRoomData(io, room);
+      } catch (err) {
+        console.error("takeSeat error:", err);
+        socket.emit("errorMessage", "Failed to take a seat");
+      }
+    });
+
+    // Leave Room
+    socket.on("leaveRoom", async ({ roomId }) => {
+      try {
+        if (!roomId) return;
+        socket.leave(roomId);
+
+        await removeParticipant(io, roomId, userId, {
+          message: () => `${username} left the room`,
+        });
+
       } catch (err) {
         console.error("leaveRoom error:", err);
         socket.emit("errorMessage", "Failed to leave room");
@@ -575,28 +1581,93 @@ const io = new Server(server, {
     // End Game
     socket.on("endGame", async ({ roomId }) => {
       try {
-        if (!roomId) return;
-        const room = await Rooms.findOneAndUpdate(
-          { roomId },
-          { isStarted: false, isActive: false },
-          { new: true }
-        );
+        if (!inRoom(roomId)) return;
+        const room = await Rooms.findOne({ _id: roomId });
         if (!room) return;
 
-        for (const participant of room.participants) {
-          if (participant.socketId) {
-            io.to(participant.socketId).emit("receiveMessage", { userId: "1", user: "", text: "Game has ended" });
-            io.to(participant.socketId).emit("showResult", room);
-          }
+        if (toId(room.hostId) !== userId) {
+          return socket.emit("errorMessage", "Only the host can end the game");
         }
+        if (!room.isStarted) {
+          return socket.emit("errorMessage", "No game is running");
+        }
+
+        clearRoomTimer(roomId);
+        room.isStarted = false;
+        room.isActive = false;
+        room.phase = "lobby";
+        await room.save();
+
+        roomChannel(io, roomId).emit("receiveMessage", { userId: "1", user: "", text: "Game has ended" });
+        finishGame(io, room);
       } catch (err) {
         console.error("endGame error:", err);
         socket.emit("errorMessage", "Failed to end game");
       }
     });
 
-    socket.on("disconnect", () => {
-      // console.log("User disconnected:", socket.id);
+    // Disconnect: keep the seat for RECONNECT_GRACE_PERIOD, then remove the player.
+    // A drawer who drops mid-round loses the turn straight away.
+    socket.on("disconnect", async () => {
+      try {
+        // spectators have no seat to hold, they just go
+        const watching = await Rooms.find({ "spectators.socketId": socket.id });
+        for (const room of watching) {
+          room.spectators = room.spectators.filter((s) => s.socketId !== socket.id);
+          await room.save();
+          emitRoomData(io, room);
+        }
+
+        const rooms = await Rooms.find({ "participants.socketId": socket.id });
+
+        for (const room of rooms) {
+          const player = room.participants.find((p) => p.socketId === socket.id);
+          if (!player) continue;
+
+          player.isOnline = false;
+          player.disconnectedAt = new Date();
+          player.socketId = null;
+
+          const wasDrawer = room.isStarted && toId(player.userId) === toId(room.currentTurnUserId);
+          const wasChoosing = wasDrawer && room.phase === "choosing";
+          if (wasChoosing) {
+            room.words.push(...room.wordChoices);
+            room.wordChoices = [];
+          }
+
+          await room.save();
+
+          sendSystemMessage(io, room._id, `${player.username} disconnected`);
+          emitRoomData(io, room);
+
+          if (wasChoosing) {
+            await nextTurn(io, room._id);
+          } else if (wasDrawer && room.phase === "drawing") {
+            await endCurrentRound(io, room._id);
+          }
+
+          const graceKey = `${toId(room._id)}:${toId(player.userId)}`;
+          clearTimeout(disconnectTimers.get(graceKey));
+          disconnectTimers.set(graceKey, setTimeout(async () => {
+            disconnectTimers.delete(graceKey);
+            try {
+              const fresh = await Rooms.findOne({ _id: room._id });
+              const stillOffline = fresh?.participants.find(
+                (p) => toId(p.userId) === toId(player.userId) && !isOnline(p)
+              );
+              if (!stillOffline) return;
+
+              await removeParticipant(io, room._id, player.userId, {
+                message: (p) => `${p.username} left the room`,
+              });
+            } catch (err) {
+              console.error("disconnect grace period error:", err);
+            }
+          }, RECONNECT_GRACE_PERIOD));
+        }
+      } catch (err) {
+        console.error("disconnect error:", err);
+      }
     });
 });
 
@@ -0,0 +1,114 @@
+const Users = require("../models/userModel");
+const Games = require("../models/gameModel");
+const { isTeamGame, teamOf } = require("./teams");
+const toId = require("./toId");
+
+// Achievement definitions. Each one listens to a single game event and unlocks
+// for ctx.userId when `check(ctx)` is true (it may be async). Adding a badge is
+// just adding an entry here; the server only reports events.
+//
+// Events and their context (all carry userId + room):
+//   correctGuess: { elapsedMs, guessOrder }           - fired for the guesser
+//   roundEnd:     { round }  (a RoundArchives doc)    - fired for the drawer
+//   gameEnd:      { game, player } (Games doc/entry)  - fired for every player
+const ACHIEVEMENTS = [
+  {
+    id: "first-guess",
+    name: "First Guess",
+    description: "Guess a word correctly",
+    event: "correctGuess",
+    check: () => true,
+  },
+  {
+    id: "lightning",
+    name: "Lightning Fast",
+    description: "Guess a word within 5 seconds",
+    event: "correctGuess",
+    check: ({ elapsedMs }) => elapsedMs <= 5000,
+  },
+  {
+    id: "sharp-eye",
+    name: "Sharp Eye",
+    description: "Be the first to guess a word",
+    event: "correctGuess",
+    check: ({ guessOrder }) => guessOrder === 1,
+  },
+  {
+    id: "masterpiece",
+    name: "Masterpiece",
+    description: "Everyone guesses your drawing",
+    event: "roundEnd",
+    check: ({ userId, room, round }) => {
+      // in team mode only the drawer's teammates could guess
+      const team = isTeamGame(room) ? teamOf(room, userId) : null;
+      const guessers = room.participants.filter((p) =>
+        p.isOnline !== false && toId(p.userId) !== userId && (team === null || p.team === team)
+      );
+      return guessers.length > 0 &&
+        guessers.every((p) => round.guessers.some((g) => toId(g.userId) === toId(p.userId)));
+    },
+  },
+  {
+    id: "first-win",
+    name: "Champion",
+    description: "Win a game",
+    event: "gameEnd",
+    check: ({ player }) => player.rank === 1,
+  },
+  {
+    id: "ten-wins",
+    name: "Hall of Fame",
+    description: "Win 10 games",
+    event: "gameEnd",
+    check: async ({ userId, player }) =>
+      player.rank === 1 &&
+      (await Games.countDocuments({ players: { $elemMatch: { userId, rank: 1 } } })) >= 10,
+  },
+  {
+    id: "regular",
+    name: "Regular",
+    description: "Play 25 games",
+    event: "gameEnd",
+    check: async ({ userId }) => (await Games.countDocuments({ "players.userId": userId })) >= 25,
+  },
+];
+
+const byId = new Map(ACHIEVEMENTS.map((a) => [a.id, a]));
+
+// Public shape of a badge (no check function)
+const describeAchievement = ({ id, name, description }) => ({ id, name, description });
+
+// Run every definition for `event` against ctx.userId and store the new ones.
+// Returns the achievements unlocked by this call.
+const unlockAchievements = async (event, ctx) => {
+  const userId = toId(ctx.userId);
+  if (!userId) return [];
+
+  const user = await Users.findById(userId).select("achievements");
+  if (!user) return [];
+
+  const owned = new Set((user.achievements || []).map((a) => a.id));
+  const unlocked = [];
+
+  for (const achievement of ACHIEVEMENTS) {
+    if (achievement.event !== event || owned.has(achievement.id)) continue;
+    if (!(await achievement.check({ ...ctx, userId }))) continue;
+
+    // conditional push so two events racing can't store the same badge twice
+    const result = await Users.updateOne(
+      { _id: userId, "achievements.id": { $ne: achievement.id } },
+      { $push: { achievements: { id: achievement.id, unlockedAt: new Date() } } }
+    );
+    if (result.modifiedCount === 1) unlocked.push(describeAchievement(achievement));
+  }
+
+  return unlocked;
+};
+
+// Stored badges -> [{ id, name, description, unlockedAt }], skipping retired ids
+const getBadges = (user) =>
+  (user?.achievements || [])
+    .filter((a) => byId.has(a.id))
+    .map((a) => ({ ...describeAchievement(byId.get(a.id)), unlockedAt: a.unlockedAt }));
+
+module.exports = { ACHIEVEMENTS, unlockAchievements, getBadges };
@@ -0,0 +1,89 @@
+// Guess matching for submitAnswer / sendChat.
+// "Spider-Man", "spiderman" and "spider man" all normalize to the same thing.
+
+// Strip a simple English plural so "cats" == "cat" and "berries" == "berry"
+const singularize = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith("s") && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+// "-ies" can't be undone without knowing the word: berries -> berry but
+// cookies -> cookie, so both stems are kept as candidates
+const singularStems = (word) =>
+  word.length > 3 && word.endsWith("ies")
+    ? [word.slice(0, -3) + "y", word.slice(0, -3) + "ie"]
+    : [singularize(word)];
+
+const MAX_AMBIGUOUS_WORDS = 3; // caps the candidates at 2^3 per answer
+
+const splitWords = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")         // diacritics (é -> e)
+    .toLowerCase()
+    .replace(/['’]/g, "")           // writer's -> writers
+    .replace(/[^\p{L}\p{N}]+/gu, " ") // other punctuation acts as a separator
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+// lowercase, no diacritics, no punctuation, singular words, no spaces
+const normalizeAnswer = (text = "") => splitWords(text).map(singularize).join("");
+
+// Every normalized spelling an answer can stand for (see singularStems)
+const answerForms = (text = "") => {
+  let ambiguous = 0;
+  let forms = [""];
+  for (const word of splitWords(text)) {
+    let stems = singularStems(word);
+    if (stems.length > 1 && ++ambiguous > MAX_AMBIGUOUS_WORDS) stems = stems.slice(0, 1);
+    forms = forms.flatMap((form) => stems.map((stem) => form + stem));
+  }
+  return forms.filter(Boolean);
+};
+
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// How many edits still count as "close" for a word of this length
+const closeThreshold = (length) => {
+  if (length < 4) return 0;
+  if (length <= 7) return 1;
+  return 2;
+};
+
+// Returns "correct", "close" or "wrong"
+const matchAnswer = (guess, word) => {
+  const given = answerForms(guess);
+  const targets = answerForms(word);
+  if (!given.length || !targets.length) return "wrong";
+
+  const pairs = given.flatMap((g) => targets.map((t) => [g, t]));
+  if (pairs.some(([g, t]) => g === t)) return "correct";
+  // lengths further apart than the threshold can't be close, skip the full distance
+  const isClose = ([g, t]) => {
+    const threshold = closeThreshold(t.length);
+    return Math.abs(g.length - t.length) <= threshold && editDistance(g, t) <= threshold;
+  };
+  if (pairs.some(isClose)) return "close";
+  return "wrong";
+};
+
+module.exports = { matchAnswer, normalizeAnswer, editDistance };
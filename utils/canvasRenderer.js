@@ -0,0 +1,257 @@
+const zlib = require("zlib");
+const { CANVAS_WIDTH, CANVAS_HEIGHT } = require("./drawingValidation");
+
+// Rebuilds a room's drawing from its canvasChange history (format in
+// utils/canvasStore.js) as SVG or PNG, in plain JavaScript.
+// Replays the way clients do: round caps/joins, eraser paints the white
+// background, a clear wipes everything before it, undone entries are skipped.
+
+const BACKGROUND = [255, 255, 255, 255];
+const DEFAULT_COLOR = "#000000";
+
+// Only the entries that are still visible: after the last clear, not undone
+const visibleEntries = (history = []) => {
+  let start = 0;
+  history.forEach((entry, i) => {
+    if (entry.type === "clear") start = i + 1;
+  });
+  return history.slice(start).filter((entry) => entry.type !== "clear" && !entry.undone);
+};
+
+// ---------- colors ----------
+
+// "#rgb" | "#rrggbb" | "#rrggbbaa" | "rgb(...)" | "rgba(...)" -> [r, g, b, a]
+const parseColor = (color = DEFAULT_COLOR) => {
+  const value = String(color).trim().toLowerCase();
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let h = hex[1];
+    if (h.length === 3) h = h.split("").map((c) => c + c).join("");
+    const n = (i) => parseInt(h.slice(i, i + 2), 16);
+    return [n(0), n(2), n(4), h.length === 8 ? n(6) : 255];
+  }
+
+  const rgb = value.match(/^rgba?\(([^)]+)\)$/);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(",").map((part) => Number(part.trim()));
+    const byte = (v) => Math.min(Math.max(Math.round(v) || 0, 0), 255);
+    return [byte(r), byte(g), byte(b), byte(a * 255)];
+  }
+
+  return parseColor(DEFAULT_COLOR);
+};
+
+const escapeAttr = (value) => String(value).replace(/[&"<>]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// ---------- raster ----------
+
+const createImage = (width, height) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(BACKGROUND, i);
+  return { width, height, data };
+};
+
+// Alpha-blend one pixel
+const blendPixel = (image, index, [r, g, b, a]) => {
+  const o = index * 4;
+  const alpha = a / 255;
+  image.data[o] = r * alpha + image.data[o] * (1 - alpha);
+  image.data[o + 1] = g * alpha + image.data[o + 1] * (1 - alpha);
+  image.data[o + 2] = b * alpha + image.data[o + 2] * (1 - alpha);
+  image.data[o + 3] = 255;
+};
+
+// Pixels covered by a round-capped polyline. Collected first and blended once so
+// overlapping segments of a translucent stroke don't darken each other.
+const strokeCoverage = (image, points, radius) => {
+  const covered = new Set();
+  const { width, height } = image;
+
+  const segments = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const x = points[i];
+    const y = points[i + 1];
+    const prev = i >= 2 ? [points[i - 2], points[i - 1]] : [x, y];
+    segments.push([prev[0], prev[1], x, y]);
+  }
+
+  for (const [x0, y0, x1, y1] of segments) {
+    const minX = Math.max(Math.floor(Math.min(x0, x1) - radius), 0);
+    const maxX = Math.min(Math.ceil(Math.max(x0, x1) + radius), width - 1);
+    const minY = Math.max(Math.floor(Math.min(y0, y1) - radius), 0);
+    const maxY = Math.min(Math.ceil(Math.max(y0, y1) + radius), height - 1);
+
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSq = dx * dx + dy * dy;
+
+    for (let py = minY; py <= maxY; py++) {
+      for (let px = minX; px <= maxX; px++) {
+        // distance from the pixel center to the segment
+        const cx = px + 0.5;
+        const cy = py + 0.5;
+        const t = lengthSq ? Math.min(Math.max(((cx - x0) * dx + (cy - y0) * dy) / lengthSq, 0), 1) : 0;
+        const ex = x0 + t * dx - cx;
+        const ey = y0 + t * dy - cy;
+        if (ex * ex + ey * ey <= radius * radius) covered.add(py * width + px);
+      }
+    }
+  }
+
+  return covered;
+};
+
+// Scanline flood fill from the seed, replacing the seed's color
+const floodFill = (image, seedX, seedY, color) => {
+  const { width, height, data } = image;
+  const x = Math.floor(seedX);
+  const y = Math.floor(seedY);
+  if (x < 0 || y < 0 || x >= width || y >= height) return;
+
+  const start = (y * width + x) * 4;
+  const target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+  const matches = (i) =>
+    data[i * 4] === target[0] && data[i * 4 + 1] === target[1] &&
+    data[i * 4 + 2] === target[2] && data[i * 4 + 3] === target[3];
+
+  const region = new Uint8Array(width * height);
+  const fillable = (i) => !region[i] && matches(i);
+  const stack = [[x, y]];
+
+  while (stack.length) {
+    const [sx, sy] = stack.pop();
+    if (!fillable(sy * width + sx)) continue;
+
+    let lx = sx;
+    while (lx > 0 && fillable(sy * width + lx - 1)) lx--;
+
+    let spanAbove = false;
+    let spanBelow = false;
+    for (let cx = lx; cx < width && fillable(sy * width + cx); cx++) {
+      region[sy * width + cx] = 1;
+
+      if (sy > 0) {
+        const open = fillable((sy - 1) * width + cx);
+        if (open && !spanAbove) stack.push([cx, sy - 1]);
+        spanAbove = open;
+      }
+      if (sy < height - 1) {
+        const open = fillable((sy + 1) * width + cx);
+        if (open && !spanBelow) stack.push([cx, sy + 1]);
+        spanBelow = open;
+      }
+    }
+  }
+
+  for (let i = 0; i < region.length; i++) {
+    if (region[i]) blendPixel(image, i, color);
+  }
+};
+
+const rasterize = (history, { scale = 1 } = {}) => {
+  const width = Math.max(Math.round(CANVAS_WIDTH * scale), 1);
+  const height = Math.max(Math.round(CANVAS_HEIGHT * scale), 1);
+  const image = createImage(width, height);
+
+  for (const entry of visibleEntries(history)) {
+    const points = (entry.points || []).map((n) => n * scale);
+    if (points.length < 2) continue;
+
+    if (entry.type === "fill") {
+      floodFill(image, points[0], points[1], parseColor(entry.color));
+      continue;
+    }
+
+    const color = entry.mode === "erase" ? BACKGROUND : parseColor(entry.color);
+    const radius = Math.max(((entry.lineWidth || 1) * scale) / 2, 0.5);
+    for (const index of strokeCoverage(image, points, radius)) blendPixel(image, index, color);
+  }
+
+  return image;
+};
+
+// ---------- PNG encoding ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const encodePng = ({ width, height, data }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // RGBA
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // no interlace
+
+  // every scanline starts with filter type 0
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 4 + 1)] = 0;
+    Buffer.from(data.buffer, y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+// ---------- public ----------
+
+const renderPng = (history, options) => encodePng(rasterize(history, options));
+
+// Strokes become <path>s. Flood fills have no vector equivalent, so a drawing
+// that contains one is embedded as the PNG render instead.
+const renderSvg = (history, { scale = 1 } = {}) => {
+  const width = Math.max(Math.round(CANVAS_WIDTH * scale), 1);
+  const height = Math.max(Math.round(CANVAS_HEIGHT * scale), 1);
+  const entries = visibleEntries(history);
+
+  const open = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}">`;
+
+  if (entries.some((entry) => entry.type === "fill")) {
+    const png = renderPng(history, { scale }).toString("base64");
+    return `${open}<image width="${CANVAS_WIDTH}" height="${CANVAS_HEIGHT}" href="data:image/png;base64,${png}"/></svg>`;
+  }
+
+  const paths = entries
+    .filter((entry) => (entry.points || []).length >= 2)
+    .map((entry) => {
+      const p = entry.points;
+      let d = `M${p[0]} ${p[1]}`;
+      for (let i = 2; i < p.length; i += 2) d += ` L${p[i]} ${p[i + 1]}`;
+      if (p.length === 2) d += ` L${p[0]} ${p[1]}`; // a single tap still shows a dot
+
+      const [r, g, b, a] = entry.mode === "erase" ? BACKGROUND : parseColor(entry.color);
+      const opacity = a < 255 ? ` stroke-opacity="${(a / 255).toFixed(3)}"` : "";
+
+      return `<path d="${escapeAttr(d)}" fill="none" stroke="rgb(${r},${g},${b})"${opacity} stroke-width="${entry.lineWidth || 1}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    });
+
+  return `${open}<rect width="100%" height="100%" fill="#ffffff"/>${paths.join("")}</svg>`;
+};
+
+module.exports = { renderSvg, renderPng };
@@ -0,0 +1,176 @@
+const Chats = require("../models/chatModel");
+
+// Stroke-based canvas storage.
+//
+// Clients send batched `drawing` payloads:
+//   { roomId, strokeId, type: "stroke", points: [x0, y0, x1, y1, ...],
+//     color, lineWidth, mode: "draw" | "erase", end: true | false }
+//   { roomId, strokeId, type: "fill", points: [x, y], color }
+//   { roomId, type: "clear" }
+//
+// Batches are coalesced here per stroke and only written to Chats.canvasChange
+// once a stroke ends (at most one write per room every FLUSH_INTERVAL).
+// Undo/redo flip `undone` on a stored stroke or fill; replays skip undone entries.
+
+const FLUSH_INTERVAL = 1000;   // ms between writes for a room
+const STALE_STROKE = 10000;    // ms before an un-ended stroke is persisted anyway
+
+const pending = new Map();     // roomCode -> [{ entry, done, updatedAt }] in draw order
+const flushTimers = new Map(); // roomCode -> setTimeout handle
+
+const getQueue = (roomCode) => {
+  if (!pending.has(roomCode)) pending.set(roomCode, []);
+  return pending.get(roomCode);
+};
+
+// Add a batch of points to its stroke (creating the stroke on first sight).
+const addStrokePoints = (roomCode, { strokeId, points, color, lineWidth, mode, end }) => {
+  const queue = getQueue(roomCode);
+  let item = queue.find((i) => i.entry.strokeId === strokeId && !i.done);
+
+  if (!item) {
+    item = {
+      entry: { strokeId, type: "stroke", points: [], color, lineWidth, mode, timestamp: new Date() },
+      done: false,
+    };
+    queue.push(item);
+  }
+
+  item.entry.points.push(...points);
+  item.updatedAt = Date.now();
+  if (end) item.done = true;
+
+  scheduleFlush(roomCode);
+  return item.entry;
+};
+
+// A flood fill is a single finished entry: the seed point and the fill color.
+const addFill = (roomCode, { strokeId, points, color }) => {
+  const entry = { strokeId, type: "fill", points: points.slice(0, 2), color, timestamp: new Date() };
+  getQueue(roomCode).push({ entry, done: true, updatedAt: Date.now() });
+
+  scheduleFlush(roomCode);
+  return entry;
+};
+
+// A clear is stored in the history too so replays match what clients saw.
+const addClear = (roomCode) => {
+  const queue = getQueue(roomCode);
+  // anything still open is cut off by the clear
+  queue.forEach((i) => { i.done = true; });
+  queue.push({ entry: { type: "clear", points: [], timestamp: new Date() }, done: true, updatedAt: Date.now() });
+
+  scheduleFlush(roomCode);
+};
+
+const scheduleFlush = (roomCode) => {
+  if (flushTimers.has(roomCode)) return;
+  flushTimers.set(roomCode, setTimeout(() => {
+    flushTimers.delete(roomCode);
+    flushStrokes(roomCode).catch((err) => console.error("canvas flush error:", err));
+  }, FLUSH_INTERVAL));
+};
+
+// Persist the finished strokes at the front of the queue in one write.
+// `force` writes everything, including strokes still in progress.
+const flushStrokes = async (roomCode, { force = false } = {}) => {
+  const queue = pending.get(roomCode);
+  if (!queue || queue.length === 0) return;
+
+  const now = Date.now();
+  const ready = [];
+  while (queue.length && (force || queue[0].done || now - queue[0].updatedAt > STALE_STROKE)) {
+    ready.push(queue.shift().entry);
+  }
+
+  if (queue.length === 0) pending.delete(roomCode);
+  else scheduleFlush(roomCode); // keep going until in-progress strokes finish
+
+  if (ready.length === 0) return;
+
+  await Chats.updateOne(
+    { roomCode },
+    { $push: { canvasChange: { $each: ready } } },
+    { upsert: true } // create Chats doc if missing
+  );
+};
+
+const isDrawable = (entry) => entry.type === "stroke" || entry.type === "fill";
+
+// Undo/redo never reach back past the last clear
+const lastClearIndex = (history) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].type === "clear") return i;
+  }
+  return -1;
+};
+
+const lastActiveIndex = (history) => {
+  const from = lastClearIndex(history);
+  for (let i = history.length - 1; i > from; i--) {
+    if (isDrawable(history[i]) && !history[i].undone) return i;
+  }
+  return from;
+};
+
+// Most recent visible stroke/fill
+const findUndoTarget = (history) => {
+  const i = lastActiveIndex(history);
+  return i > lastClearIndex(history) ? history[i] : null;
+};
+
+// First undone stroke/fill after the last visible one. Drawing something new
+// after an undo therefore drops the redo.
+const findRedoTarget = (history) => {
+  for (let i = lastActiveIndex(history) + 1; i < history.length; i++) {
+    if (isDrawable(history[i]) && history[i].undone) return history[i];
+  }
+  return null;
+};
+
+const setUndone = async (roomCode, undone) => {
+  await flushStrokes(roomCode, { force: true });
+
+  const chatDoc = await Chats.findOne({ roomCode });
+  if (!chatDoc) return null;
+
+  const target = undone ? findUndoTarget(chatDoc.canvasChange) : findRedoTarget(chatDoc.canvasChange);
+  if (!target) return null;
+
+  target.undone = undone;
+  await chatDoc.save();
+  return target;
+};
+
+// Returns the affected entry, or null if there's nothing to undo/redo
+const undoStroke = (roomCode) => setUndone(roomCode, true);
+const redoStroke = (roomCode) => setUndone(roomCode, false);
+
+// Strokes not written yet (for replaying to late joiners)
+const getPendingStrokes = (roomCode) => (pending.get(roomCode) || []).map((i) => i.entry);
+
+// Full canvas history in the compact stroke format
+const getCanvasHistory = (chatDoc, roomCode) => [
+  ...(chatDoc?.canvasChange || []),
+  ...getPendingStrokes(roomCode),
+];
+
+// Forget buffered strokes (round ended / canvas wiped)
+const dropPendingStrokes = (roomCode) => {
+  pending.delete(roomCode);
+  clearTimeout(flushTimers.get(roomCode));
+  flushTimers.delete(roomCode);
+};
+
+module.exports = {
+  addStrokePoints,
+  addFill,
+  addClear,
+  undoStroke,
+  redoStroke,
+  flushStrokes,
+  getCanvasHistory,
+  dropPendingStrokes,
+  findUndoTarget,
+  findRedoTarget,
+};
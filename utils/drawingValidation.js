@@ -0,0 +1,94 @@
+// Validation + sanitizing for `drawing` payloads (format in utils/canvasStore.js)
+
+const CANVAS_WIDTH = Number(process.env.CANVAS_WIDTH) || 800;
+const CANVAS_HEIGHT = Number(process.env.CANVAS_HEIGHT) || 600;
+
+const MIN_LINE_WIDTH = 1;
+const MAX_LINE_WIDTH = 50;
+const DEFAULT_LINE_WIDTH = 5;
+const MAX_POINTS_PER_BATCH = 500;   // [x, y] pairs in one event
+const MAX_POINTS_PER_SECOND = 1000; // per socket
+
+const TYPES = ["stroke", "fill", "clear"];
+const MODES = ["draw", "erase"];
+
+// #rgb, #rrggbb, #rrggbbaa, rgb(...) / rgba(...)
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\))$/i;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const isValidColor = (color) => typeof color === "string" && COLOR_PATTERN.test(color.trim());
+
+// Returns { error } or { value } with coordinates clamped to the canvas
+// and lineWidth clamped to the allowed range.
+const validateDrawing = (data = {}) => {
+  const type = data.type || "stroke";
+  if (!TYPES.includes(type)) return { error: "Invalid drawing type" };
+
+  if (type === "clear") return { value: { type } };
+
+  const strokeId = typeof data.strokeId === "string" || typeof data.strokeId === "number"
+    ? String(data.strokeId).slice(0, 64)
+    : "";
+  if (!strokeId) return { error: "Missing strokeId" };
+
+  if (!Array.isArray(data.points) || data.points.length === 0 || data.points.length % 2 !== 0) {
+    return { error: "Points must be a flat [x, y, ...] array" };
+  }
+  if (data.points.length > MAX_POINTS_PER_BATCH * 2) {
+    return { error: `Too many points in one batch (max ${MAX_POINTS_PER_BATCH})` };
+  }
+
+  const raw = data.points.map(Number);
+  if (raw.some((n) => !Number.isFinite(n))) return { error: "Points must be numbers" };
+
+  const points = raw.map((n, i) =>
+    Math.round(clamp(n, 0, i % 2 === 0 ? CANVAS_WIDTH : CANVAS_HEIGHT) * 10) / 10
+  );
+
+  const mode = data.mode || "draw";
+  if (!MODES.includes(mode)) return { error: "Invalid drawing mode" };
+
+  // the eraser doesn't need a color, everything else does
+  const needsColor = type === "fill" || mode === "draw";
+  if (needsColor && !isValidColor(data.color)) return { error: "Invalid color" };
+  const color = isValidColor(data.color) ? data.color.trim() : undefined;
+
+  if (type === "fill") {
+    return { value: { type, strokeId, points: points.slice(0, 2), color } };
+  }
+
+  const width = Number(data.lineWidth);
+  const lineWidth = Number.isFinite(width)
+    ? clamp(width, MIN_LINE_WIDTH, MAX_LINE_WIDTH)
+    : DEFAULT_LINE_WIDTH;
+
+  return {
+    value: { type, strokeId, points, color, lineWidth, mode, end: !!data.end },
+  };
+};
+
+// Token bucket: allows `perSecond` points per second, bursting up to the same amount.
+// Returns a function that consumes `count` points and says whether they're allowed.
+const createPointLimiter = (perSecond = MAX_POINTS_PER_SECOND) => {
+  let tokens = perSecond;
+  let last = Date.now();
+
+  return (count) => {
+    const now = Date.now();
+    tokens = Math.min(perSecond, tokens + ((now - last) / 1000) * perSecond);
+    last = now;
+
+    if (count > tokens) return false;
+    tokens -= count;
+    return true;
+  };
+};
+
+module.exports = {
+  validateDrawing,
+  createPointLimiter,
+  isValidColor,
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+};
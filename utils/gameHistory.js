@@ -0,0 +1,79 @@
+const Games = require("../models/gameModel");
+const RoundArchives = require("../models/roundArchiveModel");
+const { applyRatings } = require("./rating");
+const toId = require("./toId");
+
+// Competition ranking on score: 100, 80, 80, 50 -> 1, 2, 2, 4
+const rankPlayers = (players) => {
+  const sorted = [...players].sort((a, b) => b.score - a.score);
+  return sorted.map((player) => ({
+    ...player,
+    rank: sorted.findIndex((p) => p.score === player.score) + 1,
+  }));
+};
+
+// Persist the game that just ended in `room`. Per-round numbers come from the
+// round archives. Safe to call more than once: the first write wins, and only
+// that first write updates ratings.
+const recordGame = async (room) => {
+  if (!room?.currentGameId) return null;
+  if (room.gameMode === "telephone") return null; // no scores, the chains are the record
+
+  const rounds = await RoundArchives.find({ gameId: room.currentGameId })
+    .select("roundNumber drawerId word guessers playerIds")
+    .sort({ roundNumber: 1 });
+
+  // ended before anyone drew: nothing to rank, no wins or ratings to hand out
+  if (rounds.length === 0) return null;
+
+  const players = rankPlayers(room.participants.map((p) => {
+    const id = toId(p.userId);
+    const guessed = rounds.filter((r) => r.guessers.some((g) => toId(g.userId) === id));
+    const asGuesser = rounds.filter((r) =>
+      toId(r.drawerId) !== id && r.playerIds.some((playerId) => toId(playerId) === id)
+    );
+
+    return {
+      userId: p.userId,
+      username: p.username,
+      score: p.score || 0,
+      team: p.team ?? null,
+      wordsDrawn: rounds.filter((r) => toId(r.drawerId) === id).length,
+      correctGuesses: guessed.length,
+      guessRounds: asGuesser.length,
+    };
+  }));
+
+  const result = await Games.updateOne(
+    { _id: room.currentGameId },
+    {
+      $setOnInsert: {
+        roomId: room._id,
+        roomCode: room.roomId,
+        roomName: room.roomName,
+        settings: {
+          difficultyLevel: room.difficultyLevel,
+          wordCategory: room.wordCategory,
+          roundDuration: room.roundDuration,
+          hintCount: room.hintCount,
+          customWordsMode: room.customWordsMode,
+          gameMode: room.gameMode,
+        },
+        teams: (room.teams || []).map(({ teamId, name, score }) => ({ teamId, name, score })),
+        roundsPlayed: rounds.length,
+        words: rounds.map((r) => r.word),
+        players,
+        startedAt: room.currentGameId.getTimestamp(),
+        endedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  const game = await Games.findById(room.currentGameId);
+  if (game && result.upsertedCount === 1) await applyRatings(game);
+
+  return game;
+};
+
+module.exports = { recordGame };
@@ -1,8 +1,13 @@
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { getLocalWords } = require("./wordBank");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 const generateWords = async (difficultyLevel, wordCategory, wordCount) => {
+  // no API key (offline dev / CI) -> straight to the bundled word bank
+  if (!process.env.GEMINI_API_KEY) {
+    return getLocalWords(difficultyLevel, wordCategory, wordCount);
+  }
 
   try {
     // sanitize category
@@ -45,12 +50,21 @@ const generateWords = async (difficultyLevel, wordCategory, wordCount) => {
     }
 
     // ensure uniqueness + length filter
-    const uniqueWords = [...new Set(words)].filter((w) => w.length >= 4);
+    const uniqueWords = [...new Set(words)]
+      .filter((w) => typeof w === "string" && w.length >= 4)
+      .slice(0, wordCount);
+
+    // top up from the local bank if Gemini came back short
+    if (uniqueWords.length < wordCount) {
+      uniqueWords.push(
+        ...getLocalWords(difficultyLevel, wordCategory, wordCount - uniqueWords.length, uniqueWords)
+      );
+    }
 
-    return uniqueWords.slice(1, 10);
+    return uniqueWords;
   } catch (err) {
     console.error("Gemini word generation failed:", err);
-    return []; // fallback if Gemini fails
+    return getLocalWords(difficultyLevel, wordCategory, wordCount); // fallback if Gemini fails
   }
 };
 
@@ -0,0 +1,54 @@
+// Progressive letter hints for guessers.
+// Rooms store hintCount + hintTimings (fractions of roundDuration) and the
+// letter indices revealed so far in revealedHints.
+
+const DEFAULT_HINT_TIMINGS = [0.5, 0.75];
+const MAX_HINTS = 5;
+const HINT_PENALTY = 0.15; // each revealed letter knocks 15% off a correct guess
+
+const isWordChar = (ch) => /[\p{L}\p{N}]/u.test(ch);
+
+// Fractions of the round at which hints fire, one per hint.
+// Missing timings are spread evenly between the last given timing and 90%.
+const getHintSchedule = (room) => {
+  const count = Math.min(Math.max(Number(room.hintCount) || 0, 0), MAX_HINTS);
+  const timings = (room.hintTimings?.length ? room.hintTimings : DEFAULT_HINT_TIMINGS)
+    .map(Number)
+    .filter((t) => t > 0 && t < 1)
+    .sort((a, b) => a - b)
+    .slice(0, count);
+
+  const last = timings[timings.length - 1] || 0.5;
+  const missing = count - timings.length;
+  for (let i = 1; i <= missing; i++) {
+    timings.push(last + ((0.9 - last) * i) / (missing + 1));
+  }
+
+  return timings;
+};
+
+// Pick a random hidden letter to reveal. Always leaves at least one letter hidden.
+// Returns the character index in the word, or null if nothing can be revealed.
+const pickHintIndex = (word = "", revealed = []) => {
+  const shown = new Set(revealed);
+  const letters = [...String(word)]
+    .map((ch, i) => (isWordChar(ch) ? i : null))
+    .filter((i) => i !== null);
+
+  const hidden = letters.filter((i) => !shown.has(i));
+  if (hidden.length <= 1) return null;
+
+  return hidden[Math.floor(Math.random() * hidden.length)];
+};
+
+// Multiplier applied to a correct guess's points
+const hintMultiplier = (revealedCount = 0) => Math.max(1 - revealedCount * HINT_PENALTY, 0.25);
+
+module.exports = {
+  getHintSchedule,
+  pickHintIndex,
+  hintMultiplier,
+  isWordChar,
+  DEFAULT_HINT_TIMINGS,
+  MAX_HINTS,
+};
@@ -0,0 +1,23 @@
+const { summarizeRoom } = require("./serializeRoom");
+
+// Live updates for the /lobby namespace: clients load GET /room/public once,
+// then get roomUpdated / roomRemoved for public rooms.
+// `listedRooms` remembers what the lobby is showing so a room that goes
+// private, closes or empties gets a roomRemoved.
+
+const listedRooms = new Set();
+
+const notifyLobby = (io, room) => {
+  const key = String(room._id);
+  const summary = summarizeRoom(room);
+  const lobby = io.of("/lobby");
+
+  if (room.visibility === "public" && room.isActive && summary.playerCount > 0) {
+    listedRooms.add(key);
+    lobby.emit("roomUpdated", summary);
+  } else if (listedRooms.delete(key)) {
+    lobby.emit("roomRemoved", { _id: room._id });
+  }
+};
+
+module.exports = { notifyLobby };
@@ -0,0 +1,92 @@
+const Users = require("../models/userModel");
+const toId = require("./toId");
+
+// Multiplayer Elo: every pair of rated players is scored as a 1v1 on final
+// placement (better rank wins, same rank draws), scaled so a game is worth
+// one K-factor in total no matter how many people played.
+
+const DEFAULT_RATING = 1000;
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 64; // first few games move faster
+const PROVISIONAL_GAMES = 10;
+
+// games with fewer real players than this don't touch anyone's rating
+const MIN_RATED_PLAYERS = Number(process.env.RATED_MIN_PLAYERS) || 3;
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+// players: [{ userId, rank, rating, ratedGames }] -> Map(userId -> rating change)
+const computeRatingChanges = (players) => {
+  const changes = new Map();
+  if (players.length < 2) return changes;
+
+  for (const player of players) {
+    let total = 0;
+    for (const opponent of players) {
+      if (opponent === player) continue;
+      const actual = player.rank < opponent.rank ? 1 : player.rank === opponent.rank ? 0.5 : 0;
+      total += actual - expectedScore(player.rating, opponent.rating);
+    }
+
+    const k = player.ratedGames < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+    changes.set(toId(player.userId), Math.round((k * total) / (players.length - 1)));
+  }
+
+  return changes;
+};
+
+// A real player actually took part: drew at least once or guessed a word.
+// Idle seats (e.g. alt accounts parked in a room) don't count and aren't rated.
+const isRealPlayer = (player) => player.wordsDrawn > 0 || player.correctGuesses > 0;
+
+// Update Users.rating from a recorded game and store each change on the game.
+// Returns the game's rated players with their changes (empty if unrated).
+const applyRatings = async (game) => {
+  const real = game.players.filter(isRealPlayer);
+  if (real.length < MIN_RATED_PLAYERS) return [];
+
+  const users = await Users.find({ _id: { $in: real.map((p) => p.userId) } }).select("rating ratedGames");
+  const byId = new Map(users.map((u) => [toId(u._id), u]));
+
+  // placement among real players only
+  const rated = real
+    .filter((p) => byId.has(toId(p.userId)))
+    .map((p) => {
+      const user = byId.get(toId(p.userId));
+      return {
+        userId: p.userId,
+        rank: real.filter((other) => other.score > p.score).length + 1,
+        rating: user.rating ?? DEFAULT_RATING,
+        ratedGames: user.ratedGames || 0,
+      };
+    });
+
+  const changes = computeRatingChanges(rated);
+  if (changes.size === 0) return [];
+
+  // pipeline update so accounts created before ratings existed start from the default
+  await Users.bulkWrite(rated.map((p) => ({
+    updateOne: {
+      filter: { _id: p.userId },
+      update: [{
+        $set: {
+          rating: { $add: [{ $ifNull: ["$rating", DEFAULT_RATING] }, changes.get(toId(p.userId))] },
+          ratedGames: { $add: [{ $ifNull: ["$ratedGames", 0] }, 1] },
+        },
+      }],
+    },
+  })));
+
+  game.rated = true;
+  game.players.forEach((p) => {
+    const change = changes.get(toId(p.userId));
+    if (change === undefined) return;
+    p.ratingBefore = rated.find((r) => toId(r.userId) === toId(p.userId)).rating;
+    p.ratingChange = change;
+  });
+  await game.save();
+
+  return rated.map((p) => ({ userId: p.userId, rating: p.rating + changes.get(toId(p.userId)) }));
+};
+
+module.exports = { applyRatings, computeRatingChanges, DEFAULT_RATING, MIN_RATED_PLAYERS };
@@ -0,0 +1,138 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const toId = require("./toId");
+
+// Room passwords + invite links, shared by POST /room/join and the socket joinRoom.
+//
+// Invite tokens are JWTs signed with PRIVATE_KEY: { room, invite } plus an
+// expiry. The invite id must still be listed in room.invites, so deleting it
+// from there revokes the link before it expires.
+
+const INVITE_AUDIENCE = "room-invite";
+const DEFAULT_INVITE_HOURS = Number(process.env.INVITE_TTL_HOURS) || 24;
+const MAX_INVITE_HOURS = 7 * 24;
+const DEFAULT_MAX_PLAYERS = 8; // rooms created before maxPlayers existed
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 64;
+
+const hashRoomPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Returns an error message for a bad password, or null
+const validateRoomPassword = (password) => {
+  if (typeof password !== "string") return "password must be a string";
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Mutates room.invites (caller saves). Expired invites are pruned on the way.
+const createInvite = (room, user, hours = DEFAULT_INVITE_HOURS) => {
+  const inviteId = crypto.randomBytes(8).toString("hex");
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  room.invites = room.invites.filter((invite) => invite.expiresAt > new Date());
+  room.invites.push({ inviteId, createdBy: user._id, expiresAt });
+
+  const token = jwt.sign(
+    { room: toId(room._id), invite: inviteId },
+    process.env.PRIVATE_KEY,
+    { expiresIn: Math.round(hours * 60 * 60), audience: INVITE_AUDIENCE }
+  );
+
+  return { inviteId, token, expiresAt };
+};
+
+// Decodes an invite token without checking revocation (that needs the room).
+// Returns { roomId, inviteId } or { error }.
+const decodeInviteToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), process.env.PRIVATE_KEY, { audience: INVITE_AUDIENCE });
+    return { roomId: payload.room, inviteId: payload.invite };
+  } catch (err) {
+    if (err.name === "TokenExpiredError") return { error: "Invite link has expired" };
+    return { error: "Invite link is invalid" };
+  }
+};
+
+// Host, participant or spectator
+const isRoomMember = (room, user) => {
+  const uid = toId(user._id);
+  return toId(room.hostId) === uid
+    || room.participants.some((p) => toId(p.userId) === uid)
+    || (room.spectators || []).some((s) => toId(s.userId) === uid);
+};
+
+// Who may look at a room without joining it (state, canvas renders): its members,
+// and anyone not banned while it's public and has no password
+const canViewRoom = (room, user) => {
+  if (isRoomMember(room, user)) return true;
+  if ((room.bannedUserIds || []).some((id) => toId(id) === toId(user._id))) return false;
+  return room.visibility === "public" && !room.password;
+};
+
+// Why an invite token doesn't let its holder into `room`, or null when it does
+const inviteError = (room, inviteToken) => {
+  const invite = decodeInviteToken(inviteToken);
+  if (invite.error) return invite.error;
+  if (invite.roomId !== toId(room._id)) return "Invite link is for a different room";
+  if (!room.invites.some((i) => i.inviteId === invite.inviteId)) return "Invite link has been revoked";
+  return null;
+};
+
+// Can `user` enter `room` with these credentials? Returns an error message or null.
+// Current participants, spectators and the host are always let back in; rooms without a
+// password only need the code. Otherwise either a valid invite or the password will do.
+const checkRoomAccess = async (room, user, { password, inviteToken } = {}) => {
+  if (isRoomMember(room, user)) return null;
+  if (!room.password) return null;
+
+  // either one is enough; when neither works, report each that was tried
+  const problems = [];
+  if (inviteToken) {
+    const error = inviteError(room, inviteToken);
+    if (!error) return null;
+    problems.push(error);
+  }
+  if (password) {
+    if (await bcrypt.compare(String(password), room.password)) return null;
+    problems.push("Incorrect room password");
+  }
+
+  return problems.length ? problems.join("; ") : "This room needs a password or an invite link";
+};
+
+// Capacity: only seated participants count, spectators don't take a seat
+const isRoomFull = (room) => room.participants.length >= (room.maxPlayers || DEFAULT_MAX_PLAYERS);
+
+// Same check as an aggregation expression, for atomic "take a seat" updates
+const hasFreeSeatExpr = {
+  $lt: [{ $size: "$participants" }, { $ifNull: ["$maxPlayers", DEFAULT_MAX_PLAYERS] }],
+};
+
+// How `user` would enter the room: "player", "spectator", or null when it's
+// full and still in its lobby. Joining a full room mid-game means watching.
+const pickJoinRole = (room, user, { asSpectator = false } = {}) => {
+  const uid = toId(user._id);
+  if (room.participants.some((p) => toId(p.userId) === uid)) return "player";
+  if (asSpectator || (room.spectators || []).some((s) => toId(s.userId) === uid)) return "spectator";
+  if (!isRoomFull(room)) return "player";
+  return room.isStarted ? "spectator" : null;
+};
+
+module.exports = {
+  hashRoomPassword,
+  validateRoomPassword,
+  createInvite,
+  decodeInviteToken,
+  checkRoomAccess,
+  canViewRoom,
+  isRoomFull,
+  hasFreeSeatExpr,
+  pickJoinRole,
+  MAX_INVITE_HOURS,
+};
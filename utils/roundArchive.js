@@ -0,0 +1,40 @@
+const Chats = require("../models/chatModel");
+const RoundArchives = require("../models/roundArchiveModel");
+const { flushStrokes } = require("./canvasStore");
+const toId = require("./toId");
+
+// Snapshot the round that just ended: drawer, word, stroke timeline and who
+// guessed it. Runs before endCurrentRound wipes canvasChange / correctAnswers.
+const archiveRound = async (room) => {
+  if (!room?.currentGameId || !room.currentWord) return null;
+
+  // make sure strokes still buffered in memory are part of the timeline
+  await flushStrokes(room.roomId, { force: true });
+  const chatDoc = await Chats.findOne({ roomCode: room.roomId });
+
+  const nameOf = new Map(room.participants.map((p) => [toId(p.userId), p.username]));
+  const drawerId = toId(room.currentTurnUserId);
+
+  const roundNumber = (await RoundArchives.countDocuments({ gameId: room.currentGameId })) + 1;
+
+  return RoundArchives.create({
+    gameId: room.currentGameId,
+    roomId: room._id,
+    roomCode: room.roomId,
+    roundNumber,
+    drawerId: room.currentTurnUserId,
+    drawerUsername: nameOf.get(drawerId) || "",
+    word: room.currentWord,
+    strokes: chatDoc?.canvasChange || [],
+    guessers: (chatDoc?.correctAnswers || []).map((answer) => ({
+      userId: answer.userId,
+      username: nameOf.get(toId(answer.userId)) || "",
+      timestamp: answer.timestamp,
+    })),
+    playerIds: room.participants.map((p) => p.userId),
+    startedAt: room.roundStartTime ? new Date(room.roundStartTime) : undefined,
+    endedAt: new Date(),
+  });
+};
+
+module.exports = { archiveRound };
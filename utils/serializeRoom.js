@@ -0,0 +1,93 @@
+// Builds the per-recipient view of a Rooms document.
+// The drawer sees the current word, everyone else gets a masked pattern,
+// and nobody gets the upcoming word list.
+
+const { isWordChar } = require("./hints");
+const toId = require("./toId");
+
+// "spider man" -> "_ _ _ _ _ _  _ _ _" (punctuation like "-" stays visible).
+// `revealed` holds character indices already given away as hints.
+const maskWord = (word = "", revealed = []) => {
+  const shown = new Set(revealed);
+  const parts = [];
+  let current = [];
+
+  [...String(word)].forEach((ch, i) => {
+    if (/\s/.test(ch)) {
+      if (current.length) parts.push(current);
+      current = [];
+      return;
+    }
+    current.push(isWordChar(ch) && !shown.has(i) ? "_" : ch);
+  });
+  if (current.length) parts.push(current);
+
+  return parts.map((part) => part.join(" ")).join("  ");
+};
+
+// options.revealWord: show the real word to everyone (round over / game over)
+const serializeRoom = (room, viewerId, { revealWord = false } = {}) => {
+  if (!room) return null;
+
+  const data = typeof room.toObject === "function" ? room.toObject() : { ...room };
+  const viewer = toId(viewerId);
+
+  const isDrawer = !!viewer && viewer === toId(data.currentTurnUserId);
+  const isHost = !!viewer && viewer === toId(data.hostId);
+
+  delete data.words;
+  data.hasPassword = !!data.password;
+  delete data.password;
+  if (!isHost) delete data.customWords;
+  if (!isHost) delete data.invites;
+  if (!isDrawer) delete data.wordChoices;
+
+  data.currentWord = revealWord || isDrawer
+    ? data.currentWord || ""
+    : maskWord(data.currentWord, data.revealedHints);
+
+  return data;
+};
+
+// Lobby card for public listings: no words, no participant details
+const summarizeRoom = (room) => {
+  const data = typeof room.toObject === "function" ? room.toObject() : room;
+  const online = (data.participants || []).filter((p) => p.isOnline !== false);
+
+  return {
+    _id: data._id,
+    roomId: data.roomId,
+    roomName: data.roomName,
+    hostUsername: data.hostUsername,
+    hasPassword: !!data.password,
+    playerCount: online.length,
+    maxPlayers: data.maxPlayers,
+    spectatorCount: (data.spectators || []).length,
+    wordCategory: data.wordCategory,
+    difficultyLevel: data.difficultyLevel,
+    roundDuration: data.roundDuration,
+    gameMode: data.gameMode,
+    isStarted: !!data.isStarted,
+    createdAt: data.createdAt,
+  };
+};
+
+// Settings everyone in the room may see (settingsUpdated payload)
+const publicSettings = (room) => ({
+  roomName: room.roomName,
+  maxRounds: room.maxRounds,
+  roundDuration: room.roundDuration,
+  difficultyLevel: room.difficultyLevel,
+  wordCategory: room.wordCategory,
+  maxPlayers: room.maxPlayers,
+  hintCount: room.hintCount,
+  hintTimings: [...(room.hintTimings || [])],
+  customWordsMode: room.customWordsMode,
+  gameMode: room.gameMode,
+  teamCount: room.teamCount,
+  teamAssignment: room.teamAssignment,
+  visibility: room.visibility,
+  hasPassword: !!room.password,
+});
+
+module.exports = { serializeRoom, maskWord, summarizeRoom, publicSettings };
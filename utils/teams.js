@@ -0,0 +1,133 @@
+const toId = require("./toId");
+const { shuffle } = require("./wordBank");
+
+// Team mode helpers.
+// Rooms in gameMode "teams" keep `teams` ([{ teamId, name, score }]) and each
+// participant's `team` (a teamId). Teams take turns drawing and only the
+// drawer's teammates can score a round; team scores add up their members' points.
+
+const TEAM_ASSIGNMENTS = ["auto", "host"]; // balanced by the server | picked by the host
+const TEAM_NAMES = ["Red", "Blue", "Green", "Yellow"];
+const MIN_TEAMS = 2;
+const MAX_TEAMS = TEAM_NAMES.length;
+const MIN_TEAM_SIZE = 2; // the drawer needs at least one teammate to guess
+
+const isTeamGame = (room) => room?.gameMode === "teams";
+
+const teamCountOf = (room) =>
+  Math.min(Math.max(Number(room.teamCount) || MIN_TEAMS, MIN_TEAMS), MAX_TEAMS);
+
+const membersOf = (room, teamId) => room.participants.filter((p) => p.team === teamId);
+
+const teamOf = (room, userId) => {
+  const player = room.participants.find((p) => toId(p.userId) === toId(userId));
+  return player?.team ?? null;
+};
+
+// Team with the fewest members (lowest id on ties), for newcomers
+const smallestTeam = (room) => {
+  let best = null;
+  for (let teamId = 1; teamId <= teamCountOf(room); teamId++) {
+    if (best === null || membersOf(room, teamId).length < membersOf(room, best).length) best = teamId;
+  }
+  return best;
+};
+
+// Bring room.teams and every participant's team in line with gameMode/teamCount.
+// Mutates `room` (caller saves).
+//   reshuffle: deal everyone out again at random (auto balancing)
+// Otherwise existing picks are kept and only players without a valid team are placed.
+const syncTeams = (room, { reshuffle = false } = {}) => {
+  if (!isTeamGame(room)) {
+    room.teams = [];
+    room.participants.forEach((p) => { p.team = null; });
+    return;
+  }
+
+  const count = teamCountOf(room);
+  room.teamCount = count;
+  room.teams = Array.from({ length: count }, (_, i) => {
+    const existing = (room.teams || []).find((t) => t.teamId === i + 1);
+    return { teamId: i + 1, name: TEAM_NAMES[i], score: existing?.score || 0 };
+  });
+
+  if (reshuffle) {
+    shuffle(room.participants).forEach((p, i) => { p.team = (i % count) + 1; });
+    return;
+  }
+
+  room.participants.forEach((p) => {
+    if (!(p.team >= 1 && p.team <= count)) p.team = null;
+  });
+  room.participants.filter((p) => p.team === null).forEach((p) => { p.team = smallestTeam(room); });
+};
+
+const drewAt = (p) => (p.lastDrewAt ? new Date(p.lastDrewAt).getTime() : 0);
+
+// Team of whoever drew most recently, or null before the first turn
+const lastTeamToDraw = (room) => {
+  const drawn = room.participants.filter((p) => p.lastDrewAt);
+  if (!drawn.length) return null;
+  return drawn.reduce((a, b) => (drewAt(a) >= drewAt(b) ? a : b)).team;
+};
+
+// Picks the next drawer in a team game: the team after the previous drawer's, then
+// that team's first online member who hasn't drawn this round, or the one who drew
+// longest ago once they all have (members of smaller teams draw more often). A new
+// round starts once every online player has drawn.
+// Mutates participants' drewThisRound / lastDrewAt (caller saves).
+// Returns { drawer, newRound }, or null when nobody is online.
+const nextTeamTurn = (room, isOnline) => {
+  const online = room.participants.filter(isOnline);
+  if (!online.length) return null;
+
+  const newRound = online.every((p) => p.drewThisRound);
+  if (newRound) room.participants.forEach((p) => { p.drewThisRound = false; });
+
+  const teamIds = room.teams.map((t) => t.teamId).filter((id) => online.some((p) => p.team === id));
+  const previous = teamIds.indexOf(teamOf(room, room.currentTurnUserId) ?? lastTeamToDraw(room));
+  const teamId = teamIds[(previous + 1) % teamIds.length];
+
+  const members = online.filter((p) => p.team === teamId);
+  const drawer = members.find((p) => !p.drewThisRound)
+    || members.reduce((a, b) => (drewAt(a) <= drewAt(b) ? a : b));
+
+  drawer.drewThisRound = true;
+  drawer.lastDrewAt = new Date();
+  return { drawer, newRound };
+};
+
+// Returns an error message when the teams can't start a game, or null
+const checkTeamsReady = (room, isOnline) => {
+  const short = room.teams.find((t) => membersOf(room, t.teamId).filter(isOnline).length < MIN_TEAM_SIZE);
+  return short ? `Every team needs at least ${MIN_TEAM_SIZE} players (${short.name} is short)` : null;
+};
+
+const addTeamScore = (room, teamId, points) => {
+  const team = room.teams.find((t) => t.teamId === teamId);
+  if (team) team.score = (team.score || 0) + points;
+};
+
+// Highest scoring team, or null on a tie for first
+const winningTeam = (room) => {
+  if (!isTeamGame(room) || !room.teams?.length) return null;
+  const sorted = [...room.teams].sort((a, b) => b.score - a.score);
+  if (sorted[1] && sorted[1].score === sorted[0].score) return null;
+  const { teamId, name, score } = sorted[0];
+  return { teamId, name, score };
+};
+
+module.exports = {
+  TEAM_ASSIGNMENTS,
+  MIN_TEAMS,
+  MAX_TEAMS,
+  isTeamGame,
+  teamOf,
+  membersOf,
+  smallestTeam,
+  syncTeams,
+  nextTeamTurn,
+  checkTeamsReady,
+  addTeamScore,
+  winningTeam,
+};
@@ -0,0 +1,116 @@
+const { findUndoTarget, findRedoTarget } = require("./canvasStore");
+
+// Telephone mode: every player starts a chain with a prompt, then the chains
+// rotate one seat per step and players alternately draw the previous text or
+// describe the previous drawing. With n players there are n steps, so every
+// chain passes through everyone once. Chains live in models/telephoneModel.js.
+//
+// Drawings use the same `drawing` payloads as the shared canvas (format in
+// utils/canvasStore.js) but stay private: they collect in a per-player draft
+// here until the step ends.
+
+const WRITE_TIME = (Number(process.env.TELEPHONE_WRITE_SECONDS) || 40) * 1000; // prompt / describe
+const MIN_PLAYERS = 3;
+const MAX_TEXT_LENGTH = 100;
+const MAX_DRAFT_POINTS = 50000; // [x, y] pairs per drawing
+
+// prompt, draw, describe, draw, describe, ...
+const stepType = (step) => (step === 0 ? "prompt" : step % 2 === 1 ? "draw" : "describe");
+
+// Chain worked on by the player in seat `seat` at `step`, and the reverse
+const chainFor = (seat, step, players) => (seat - step + players) % players;
+const seatFor = (chain, step, players) => (chain + step) % players;
+
+const stepDuration = (step, room) =>
+  stepType(step) === "draw" ? (Number(room.roundDuration) || 60) * 1000 : WRITE_TIME;
+
+// Returns { error } or { value } with the trimmed text
+const validateText = (text) => {
+  const value = typeof text === "string" ? text.trim().replace(/\s+/g, " ") : "";
+  if (!value) return { error: "Write something first" };
+  if (value.length > MAX_TEXT_LENGTH) return { error: `Keep it under ${MAX_TEXT_LENGTH} characters` };
+  return { value };
+};
+
+// ---------- drawing drafts ----------
+
+const drafts = new Map(); // "gameId:userId" -> canvas entries
+
+const draftKey = (gameId, userId) => `${gameId}:${userId}`;
+
+const draftPoints = (entries) => entries.reduce((sum, e) => sum + (e.points?.length || 0) / 2, 0);
+
+// Add a validated `drawing` payload (see validateDrawing) to the player's draft.
+// Returns false once the drawing is too big.
+const addToDraft = (key, value) => {
+  if (!drafts.has(key)) drafts.set(key, []);
+  const entries = drafts.get(key);
+
+  if (value.points && draftPoints(entries) + value.points.length / 2 > MAX_DRAFT_POINTS) return false;
+
+  if (value.type === "clear") {
+    entries.push({ type: "clear", points: [], timestamp: new Date() });
+  } else if (value.type === "fill") {
+    const { strokeId, points, color } = value;
+    entries.push({ strokeId, type: "fill", points, color, timestamp: new Date() });
+  } else {
+    let entry = entries.find((e) => e.type === "stroke" && e.strokeId === value.strokeId);
+    if (!entry) {
+      const { strokeId, color, lineWidth, mode } = value;
+      entry = { strokeId, type: "stroke", points: [], color, lineWidth, mode, timestamp: new Date() };
+      entries.push(entry);
+    }
+    entry.points.push(...value.points);
+  }
+  return true;
+};
+
+// Same rules as the shared canvas; returns the affected entry or null
+const undoDraft = (key) => {
+  const target = findUndoTarget(drafts.get(key) || []);
+  if (target) target.undone = true;
+  return target;
+};
+
+const redoDraft = (key) => {
+  const target = findRedoTarget(drafts.get(key) || []);
+  if (target) target.undone = false;
+  return target;
+};
+
+// The drawing so far, left in place (a submit only forgets it once it's stored)
+const peekDraft = (key) => [...(drafts.get(key) || [])];
+
+const discardDraft = (key) => {
+  drafts.delete(key);
+};
+
+// Hand the finished drawing over (and forget it)
+const takeDraft = (key) => {
+  const entries = peekDraft(key);
+  discardDraft(key);
+  return entries;
+};
+
+const dropDrafts = (gameId) => {
+  for (const key of drafts.keys()) {
+    if (key.startsWith(`${gameId}:`)) drafts.delete(key);
+  }
+};
+
+module.exports = {
+  MIN_PLAYERS,
+  stepType,
+  chainFor,
+  seatFor,
+  stepDuration,
+  validateText,
+  draftKey,
+  addToDraft,
+  undoDraft,
+  redoDraft,
+  peekDraft,
+  discardDraft,
+  takeDraft,
+  dropDrafts,
+};
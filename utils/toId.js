@@ -0,0 +1,4 @@
+// ObjectId / string / null -> comparable string ("" for nothing)
+const toId = (v) => (v ? String(v) : "");
+
+module.exports = toId;
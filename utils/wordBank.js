@@ -0,0 +1,179 @@
+// Bundled offline word bank, grouped by wordCategory -> difficultyLevel.
+// Used by generateWords whenever Gemini is unavailable or comes back short.
+const wordBank = {
+  general: {
+    easy: [
+      "apple", "house", "chair", "pizza", "sunflower", "rainbow", "bicycle", "balloon",
+      "guitar", "pencil", "umbrella", "candle", "kite", "snowman", "butterfly", "clock",
+      "rocket", "tree house", "ice cream", "birthday cake",
+    ],
+    medium: [
+      "lighthouse", "treasure map", "roller coaster", "hot air balloon", "fire truck",
+      "campfire", "scarecrow", "waterfall", "spider web", "magic wand", "toothbrush",
+      "headphones", "haunted house", "paper plane", "message in a bottle", "sandcastle",
+      "skateboard", "volcano", "telescope", "windmill",
+    ],
+    hard: [
+      "time machine", "photosynthesis", "déjà vu", "solar eclipse", "black hole",
+      "procrastination", "gravity", "traffic jam", "daylight saving", "echo chamber",
+      "quicksand", "sleepwalking", "stage fright", "writer's block", "chain reaction",
+      "optical illusion", "double rainbow", "midlife crisis", "brainstorm", "nightmare",
+    ],
+  },
+
+  animals: {
+    easy: [
+      "elephant", "giraffe", "penguin", "rabbit", "monkey", "tiger", "zebra", "turtle",
+      "snake", "horse", "whale", "frog", "lion", "duck", "sheep",
+    ],
+    medium: [
+      "kangaroo", "octopus", "flamingo", "hedgehog", "peacock", "dolphin", "chameleon",
+      "jellyfish", "squirrel", "crocodile", "seahorse", "panda bear", "polar bear",
+      "hammerhead shark", "bald eagle",
+    ],
+    hard: [
+      "platypus", "narwhal", "axolotl", "armadillo", "pangolin", "anglerfish", "mantis shrimp",
+      "komodo dragon", "praying mantis", "hermit crab", "sloth bear", "manatee",
+      "tasmanian devil", "flying squirrel", "star-nosed mole",
+    ],
+  },
+
+  food: {
+    easy: [
+      "banana", "burger", "donut", "cookie", "carrot", "cheese", "popcorn", "sandwich",
+      "watermelon", "pancake", "hot dog", "french fries", "cupcake", "strawberry", "egg",
+    ],
+    medium: [
+      "spaghetti", "chicken biryani", "sushi roll", "taco", "pineapple", "broccoli",
+      "milkshake", "fried rice", "corn dog", "croissant", "apple pie", "fortune cookie",
+      "gingerbread man", "lollipop", "cotton candy",
+    ],
+    hard: [
+      "ratatouille", "bruschetta", "tiramisu", "baklava", "dim sum", "pad thai", "paella",
+      "eggs benedict", "beef wellington", "baked alaska", "creme brulee", "shakshuka",
+      "smorgasbord", "charcuterie board", "fondue",
+    ],
+  },
+
+  movies: {
+    easy: [
+      "frozen", "toy story", "finding nemo", "the lion king", "shrek", "cars", "batman",
+      "spider-man", "superman", "harry potter", "minions", "star wars", "aladdin",
+      "the incredibles", "kung fu panda",
+    ],
+    medium: [
+      "jurassic park", "the matrix", "titanic", "jaws", "ghostbusters", "back to the future",
+      "the avengers", "pirates of the caribbean", "the wizard of oz", "home alone",
+      "black panther", "wonder woman", "despicable me", "ice age", "monsters inc",
+    ],
+    hard: [
+      "inception", "interstellar", "the godfather", "pulp fiction", "fight club",
+      "the shawshank redemption", "forrest gump", "the silence of the lambs", "parasite",
+      "casablanca", "psycho", "the truman show", "gladiator", "memento", "whiplash",
+    ],
+  },
+
+  sports: {
+    easy: [
+      "football", "soccer", "tennis", "basketball", "baseball", "swimming", "running",
+      "boxing", "cricket", "cycling", "skiing", "bowling", "golf", "karate", "surfing",
+    ],
+    medium: [
+      "volleyball", "badminton", "table tennis", "ice hockey", "skateboarding", "archery",
+      "wrestling", "gymnastics", "marathon", "high jump", "rowing", "snowboarding",
+      "rock climbing", "water polo", "figure skating",
+    ],
+    hard: [
+      "pole vault", "triathlon", "fencing", "curling", "bobsleigh", "synchronized swimming",
+      "decathlon", "lacrosse", "hammer throw", "steeplechase", "polo", "sumo wrestling",
+      "parkour", "kitesurfing", "biathlon",
+    ],
+  },
+
+  places: {
+    easy: [
+      "beach", "school", "hospital", "library", "airport", "castle", "island", "forest",
+      "desert", "farm", "zoo", "park", "jungle", "mountain", "bakery",
+    ],
+    medium: [
+      "eiffel tower", "great wall of china", "statue of liberty", "pyramids", "big ben",
+      "taj mahal", "mount everest", "niagara falls", "grand canyon", "amusement park",
+      "space station", "train station", "lighthouse", "igloo", "haunted castle",
+    ],
+    hard: [
+      "machu picchu", "stonehenge", "colosseum", "leaning tower of pisa", "sydney opera house",
+      "golden gate bridge", "mount rushmore", "angkor wat", "petra", "easter island",
+      "bermuda triangle", "great barrier reef", "chichen itza", "atlantis", "times square",
+    ],
+  },
+};
+
+const DEFAULT_CATEGORY = "general";
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const normalizeCategory = (wordCategory) => {
+  const key = (wordCategory || "").toString().trim().toLowerCase();
+  return wordBank[key] ? key : DEFAULT_CATEGORY;
+};
+
+const shuffle = (list) => {
+  const arr = [...list];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+};
+
+// Pick `count` unique words for a category/difficulty. When a bucket runs dry
+// we borrow from the other difficulties of the same category, then from "general".
+// `exclude` lets callers top up an existing list without repeats.
+const getLocalWords = (difficultyLevel, wordCategory, count, exclude = []) => {
+  const category = normalizeCategory(wordCategory);
+  const difficulty = DIFFICULTIES.includes(difficultyLevel) ? difficultyLevel : "medium";
+
+  const seen = new Set(exclude.map((w) => String(w).toLowerCase()));
+  const picked = [];
+
+  const buckets = [
+    wordBank[category][difficulty],
+    ...DIFFICULTIES.filter((d) => d !== difficulty).map((d) => wordBank[category][d]),
+  ];
+  if (category !== DEFAULT_CATEGORY) {
+    buckets.push(...DIFFICULTIES.map((d) => wordBank[DEFAULT_CATEGORY][d]));
+  }
+
+  for (const bucket of buckets) {
+    for (const word of shuffle(bucket)) {
+      if (picked.length >= count) return picked;
+      if (seen.has(word)) continue;
+      seen.add(word);
+      picked.push(word);
+    }
+  }
+
+  return picked;
+};
+
+// word -> difficulty, for tagging candidates offered to the drawer
+const difficultyIndex = new Map();
+for (const category of Object.values(wordBank)) {
+  for (const difficulty of DIFFICULTIES) {
+    for (const word of category[difficulty]) {
+      if (!difficultyIndex.has(word)) difficultyIndex.set(word, difficulty);
+    }
+  }
+}
+
+// Bank words keep their bucket; anything else (Gemini / custom) is estimated by length
+const getWordDifficulty = (word = "") => {
+  const key = String(word).trim().toLowerCase();
+  if (difficultyIndex.has(key)) return difficultyIndex.get(key);
+
+  const letters = key.replace(/[^\p{L}\p{N}]/gu, "").length;
+  if (letters <= 5) return "easy";
+  if (letters <= 10) return "medium";
+  return "hard";
+};
+
+module.exports = { wordBank, getLocalWords, getWordDifficulty, shuffle };
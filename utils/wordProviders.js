@@ -0,0 +1,86 @@
+const { generateWords } = require("./generateWords");
+const { getLocalWords, shuffle } = require("./wordBank");
+
+// Every provider exposes the same shape:
+//   getWords({ difficultyLevel, wordCategory, count }) -> Promise<string[]>
+
+const geminiProvider = {
+  name: "gemini",
+  // generateWords already falls back to the local bank on failure
+  getWords: ({ difficultyLevel, wordCategory, count }) =>
+    generateWords(difficultyLevel, wordCategory, count),
+};
+
+const localProvider = {
+  name: "local",
+  getWords: async ({ difficultyLevel, wordCategory, count }) =>
+    getLocalWords(difficultyLevel, wordCategory, count),
+};
+
+const createCustomProvider = (customWords = []) => ({
+  name: "custom",
+  getWords: async ({ count }) => shuffle(customWords).slice(0, count),
+});
+
+// Generated words come from WORD_PROVIDER (defaults to gemini)
+const generatedProviders = { gemini: geminiProvider, local: localProvider };
+
+const getGeneratedProvider = () =>
+  generatedProviders[(process.env.WORD_PROVIDER || "").toLowerCase()] || geminiProvider;
+
+const CUSTOM_WORDS_MODES = ["custom", "mixed"];
+const MAX_CUSTOM_WORDS = 200;
+const MAX_CUSTOM_WORD_LENGTH = 40;
+
+// Accepts an array or a comma/newline separated string from the host.
+// Returns a cleaned, lowercase, de-duplicated list.
+const sanitizeCustomWords = (customWords) => {
+  if (customWords === undefined || customWords === null) return [];
+
+  const raw = Array.isArray(customWords)
+    ? customWords
+    : String(customWords).split(/[,\n]/);
+
+  const cleaned = raw
+    .filter((w) => typeof w === "string")
+    .map((w) => w.trim().replace(/\s+/g, " ").toLowerCase())
+    .filter((w) => w.length > 0 && w.length <= MAX_CUSTOM_WORD_LENGTH);
+
+  return [...new Set(cleaned)].slice(0, MAX_CUSTOM_WORDS);
+};
+
+// Build the word pool for a room at game start.
+// - customWordsMode "custom": only the host's list
+// - customWordsMode "mixed": host's list + generated words to fill up to `count`
+// - no custom words: generated words only
+const getRoomWords = async (room, count) => {
+  const customWords = room.customWords || [];
+  const options = {
+    difficultyLevel: room.difficultyLevel,
+    wordCategory: room.wordCategory,
+  };
+
+  if (customWords.length === 0) {
+    return getGeneratedProvider().getWords({ ...options, count });
+  }
+
+  const custom = await createCustomProvider(customWords).getWords({ ...options, count });
+  if (room.customWordsMode === "custom" || custom.length >= count) return custom;
+
+  const generated = await getGeneratedProvider().getWords({
+    ...options,
+    count: count - custom.length,
+  });
+
+  const seen = new Set(custom);
+  return shuffle([...custom, ...generated.filter((w) => !seen.has(w))]);
+};
+
+module.exports = {
+  geminiProvider,
+  localProvider,
+  createCustomProvider,
+  getRoomWords,
+  sanitizeCustomWords,
+  CUSTOM_WORDS_MODES,
+};